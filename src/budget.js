@@ -0,0 +1,56 @@
+// Noon.com run budgets - wall-clock minutes, request count and an estimate of proxy traffic
+// The crawler checks exceeded() as it goes and stops cleanly once a budget is used up
+
+const toBudget = (value) => (Number.isFinite(+value) && +value > 0 ? +value : null);
+
+/**
+ * Track time, requests and downloaded bytes against the optional limits
+ * `startedAt` is the run's original start, so a resumed run keeps counting minutes from there;
+ * `restored` is a previous state().
+ */
+export function createBudget({ maxRunMinutes, maxRequests, maxProxyBandwidthMB, startedAt, restored = null } = {}) {
+    const limits = {
+        maxRunMinutes: toBudget(maxRunMinutes),
+        maxRequests: toBudget(maxRequests),
+        maxProxyBandwidthMB: toBudget(maxProxyBandwidthMB),
+    };
+    const start = startedAt ? new Date(startedAt).getTime() : Date.now();
+    let requests = restored?.requests || 0;
+    let bytes = restored?.bytes || 0;
+
+    const usage = (now = Date.now()) => ({
+        runMinutes: Math.round(((now - start) / 60000) * 10) / 10,
+        requests,
+        bandwidthMB: Math.round((bytes / (1024 * 1024)) * 100) / 100,
+    });
+
+    return {
+        limits,
+
+        // One outgoing request; response size is added with addBytes once it is known
+        countRequest(responseBytes = 0) {
+            requests++;
+            bytes += responseBytes;
+        },
+
+        addBytes(responseBytes) {
+            bytes += responseBytes || 0;
+        },
+
+        // Name of the first budget that is used up, or null
+        exceeded(now = Date.now()) {
+            if (limits.maxRunMinutes !== null && now - start >= limits.maxRunMinutes * 60000) return 'maxRunMinutes';
+            if (limits.maxRequests !== null && requests >= limits.maxRequests) return 'maxRequests';
+            if (limits.maxProxyBandwidthMB !== null && bytes >= limits.maxProxyBandwidthMB * 1024 * 1024) {
+                return 'maxProxyBandwidthMB';
+            }
+            return null;
+        },
+
+        usage,
+
+        state() {
+            return { requests, bytes };
+        },
+    };
+}
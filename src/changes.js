@@ -0,0 +1,92 @@
+// Noon.com change tracking - compares each product with the snapshot kept from the previous run
+// and describes price, stock and rating changes as events for the changes dataset
+
+// Snapshots are keyed by country so storefronts don't overwrite each other
+export const stateKey = (product) => `${product.country || 'AE'}:${product.sku}`;
+
+// Stock is only known when offers were loaded from the product page
+export const stockOf = (product) => {
+    if (typeof product.inStock === 'boolean') return product.inStock;
+    if (Array.isArray(product.offers) && product.offers.length) return product.offers.some(o => o.inStock);
+    return null;
+};
+
+export const snapshotOf = (product) => ({
+    currentPrice: product.currentPrice ?? null,
+    originalPrice: product.originalPrice ?? null,
+    inStock: stockOf(product),
+    rating: product.rating ?? null,
+    scrapedAt: product.scrapedAt,
+});
+
+const known = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined;
+
+/**
+ * Compare a product with its previous snapshot and describe what changed
+ * Fields missing from either side are not reported as changes
+ */
+export function detectChanges(previous, product) {
+    const current = snapshotOf(product);
+    const event = (type, field, previousValue, newValue) => ({
+        type,
+        sku: product.sku,
+        title: product.title,
+        url: product.url,
+        field,
+        previousValue,
+        newValue,
+        currency: product.currency,
+        country: product.country,
+        previousScrapedAt: previous?.scrapedAt || null,
+        detectedAt: current.scrapedAt,
+    });
+
+    if (!previous) return [event('NEW_PRODUCT', null, null, current.currentPrice)];
+
+    const events = [];
+    if (known(previous.currentPrice, current.currentPrice) && previous.currentPrice !== current.currentPrice) {
+        const type = current.currentPrice < previous.currentPrice ? 'PRICE_DROP' : 'PRICE_RISE';
+        events.push(event(type, 'currentPrice', previous.currentPrice, current.currentPrice));
+    }
+    if (known(previous.originalPrice, current.originalPrice) && previous.originalPrice !== current.originalPrice) {
+        events.push(event('ORIGINAL_PRICE_CHANGE', 'originalPrice', previous.originalPrice, current.originalPrice));
+    }
+    if (known(previous.inStock, current.inStock) && previous.inStock !== current.inStock) {
+        const type = current.inStock ? 'BACK_IN_STOCK' : 'OUT_OF_STOCK';
+        events.push(event(type, 'inStock', previous.inStock, current.inStock));
+    }
+    if (known(previous.rating, current.rating) && previous.rating !== current.rating) {
+        events.push(event('RATING_CHANGE', 'rating', previous.rating, current.rating));
+    }
+    return events;
+}
+
+/**
+ * Keep the latest snapshot per product and turn each batch into change events
+ * `restored` is the state() saved by a previous run.
+ */
+export function createChangeTracker(restored = {}) {
+    const snapshots = { ...restored };
+
+    return {
+        get size() {
+            return Object.keys(snapshots).length;
+        },
+
+        // Change events for the batch; products without a SKU are skipped
+        check(batch) {
+            const events = [];
+            for (const product of batch) {
+                if (!product?.sku) continue;
+                const key = stateKey(product);
+                events.push(...detectChanges(snapshots[key], product));
+                snapshots[key] = snapshotOf(product);
+            }
+            return events;
+        },
+
+        state() {
+            return snapshots;
+        },
+    };
+}
@@ -0,0 +1,82 @@
+// Noon.com country comparison - the same SKU looked up on other storefronts, collected into a `prices` map
+// Prices keep their own currency; user-supplied FX rates add a converted value for comparing across countries
+import { asList, createDetailProduct, matchKnownNames, pageProductSkus, parseProductDetails, STOREFRONTS } from './extractors.js';
+
+// Country codes, storefront names and common aliases accepted in `compareCountries`
+const COUNTRY_ALIASES = {
+    AE: 'AE', UAE: 'AE', EMIRATES: 'AE',
+    SA: 'SA', KSA: 'SA', SAUDI: 'SA',
+    EG: 'EG', EGY: 'EG', EGYPT: 'EG',
+};
+
+/**
+ * Turn `compareCountries` values ("SA", "ksa", "saudi-en", "Egypt") into unique country codes, dropping unknown ones
+ */
+export const normalizeCompareCountries = (countries) => matchKnownNames(
+    asList(countries).map(value => String(value).trim().split('-')[0]),
+    COUNTRY_ALIASES,
+);
+
+/**
+ * Product page of `sku` on another country's storefront, in the same language as the original
+ */
+export function compareUrl(sku, country, language = 'en') {
+    const store = Object.keys(STOREFRONTS).find(name => STOREFRONTS[name].country === country);
+    return `https://www.noon.com/${store}-${language === 'ar' ? 'ar' : 'en'}/p/${sku}`;
+}
+
+/**
+ * Normalise FX inputs; rates are target-currency units per one unit of each currency
+ * Returns null when there is nothing to convert with.
+ */
+export function normalizeFx(targetCurrency, rates = {}) {
+    const target = String(targetCurrency || '').trim().toUpperCase();
+    if (!target) return null;
+
+    const table = { [target]: 1 };
+    for (const [currency, rate] of Object.entries(rates || {})) {
+        const num = Number(rate);
+        if (Number.isFinite(num) && num > 0) table[currency.trim().toUpperCase()] = num;
+    }
+    return { target, rates: table };
+}
+
+const convert = (amount, currency, fx) => {
+    const rate = fx?.rates[String(currency || '').toUpperCase()];
+    if (amount === null || amount === undefined || !rate) return null;
+    return Math.round(amount * rate * 100) / 100;
+};
+
+/**
+ * One country's entry in the `prices` map; null when the product is not sold there
+ */
+export function priceEntry(product, fx = null) {
+    if (!product || (product.currentPrice === null && !product.title)) return null;
+    return {
+        url: product.url,
+        currentPrice: product.currentPrice ?? null,
+        originalPrice: product.originalPrice ?? null,
+        currency: product.currency || null,
+        inStock: product.inStock ?? null,
+        ...(fx ? {
+            convertedPrice: convert(product.currentPrice, product.currency, fx),
+            convertedCurrency: fx.target,
+        } : {}),
+    };
+}
+
+/**
+ * Entry for a product page loaded from another storefront, or null when the page is not about `sku`
+ * Noon answers unknown or unavailable products with a normal page full of recommendations, and their
+ * prices must not end up in the map.
+ */
+export function storefrontEntry($, sku, pageUrl, fx = null) {
+    if (!sku || !pageProductSkus($).includes(String(sku).toUpperCase())) return null;
+    return priceEntry(parseProductDetails($, createDetailProduct(pageUrl, sku)), fx);
+}
+
+/**
+ * Next country still missing from the product's `prices` map, or null when the comparison is complete
+ */
+export const nextCompareCountry = (product, countries) => countries
+    .find(country => !Object.hasOwn(product.prices || {}, country)) || null;
@@ -0,0 +1,203 @@
+// Noon.com output shaping and file exports - field selection, renaming and flattening of saved records,
+// plus CSV, NDJSON and Google Merchant XML files built from the dataset at the end of the run
+import { matchKnownNames } from './extractors.js';
+
+// Export format name -> key-value store record and content type
+export const EXPORT_FORMATS = {
+    csv: { key: 'EXPORT_CSV', contentType: 'text/csv; charset=utf-8' },
+    ndjson: { key: 'EXPORT_NDJSON', contentType: 'application/x-ndjson; charset=utf-8' },
+    merchantXml: { key: 'EXPORT_MERCHANT_XML', contentType: 'application/xml; charset=utf-8' },
+};
+
+export const normalizeExportFormats = (formats) => matchKnownNames(formats, Object.keys(EXPORT_FORMATS));
+
+/**
+ * Split a field path such as `offers[0].currentPrice` or `foundIn.0.url` into keys
+ */
+export const parseFieldPath = (path) => String(path)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+/**
+ * Read a nested value by field path; undefined when any step is missing
+ */
+export function getPath(record, path) {
+    let value = record;
+    for (const key of parseFieldPath(path)) {
+        if (value === null || typeof value !== 'object') return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+// `a.b` for object keys, `a[0]` for array indexes
+const childKey = (container, prefix, key) => {
+    if (Array.isArray(container)) return `${prefix}[${key}]`;
+    return prefix ? `${prefix}.${key}` : key;
+};
+
+const flatEntries = (value, prefix) => {
+    if (!isContainer(value) || Object.keys(value).length === 0) {
+        return prefix ? [[prefix, isContainer(value) ? null : value]] : [];
+    }
+    return Object.entries(value).flatMap(([key, child]) => flatEntries(child, childKey(value, prefix, key)));
+};
+
+/**
+ * Flatten nested objects and arrays into `a.b` / `a[0]` keys; empty ones become null
+ */
+export const flattenRecord = (value) => Object.fromEntries(flatEntries(value, ''));
+
+/**
+ * Turn the output inputs into a record shaper
+ * `outputFields` is a whitelist of field paths, `renameFields` maps paths (or flattened keys) to output names.
+ * Without either and with `flatten` off, records pass through unchanged.
+ */
+export function createRecordShaper({ outputFields = [], renameFields = {}, flatten = false } = {}) {
+    const fields = (Array.isArray(outputFields) ? outputFields : [outputFields])
+        .map(field => String(field ?? '').trim())
+        .filter((field, idx, all) => field && all.indexOf(field) === idx);
+    const renames = Object.fromEntries(Object.entries(renameFields || {})
+        .filter(([, name]) => typeof name === 'string' && name.trim())
+        .map(([path, name]) => [path, name.trim()]));
+    const nameOf = (path) => renames[path] || path;
+    const active = fields.length > 0 || Object.keys(renames).length > 0 || flatten;
+
+    const shape = (record) => {
+        if (!active) return record;
+
+        let shaped;
+        if (fields.length) {
+            shaped = {};
+            for (const path of fields) {
+                const value = getPath(record, path);
+                shaped[nameOf(path)] = value === undefined ? null : value;
+            }
+        } else {
+            shaped = Object.fromEntries(Object.entries(record).map(([key, value]) => [nameOf(key), value]));
+        }
+        if (!flatten) return shaped;
+
+        // Keys produced by flattening can be renamed too, e.g. { "offers[0].currentPrice": "offerPrice" }
+        return Object.fromEntries(Object.entries(flattenRecord(shaped)).map(([key, value]) => [nameOf(key), value]));
+    };
+
+    /**
+     * Read a product field back from a shaped record, following renames and flattening
+     * Flattened arrays (`images[0]`, `images[1]`, ...) are put back together.
+     */
+    const valueOf = (shaped, path) => {
+        if (fields.length && !fields.includes(path)) return undefined;
+        const name = nameOf(path);
+        if (Object.hasOwn(shaped, name)) return shaped[name];
+
+        const items = [];
+        while (Object.hasOwn(shaped, `${name}[${items.length}]`)) items.push(shaped[`${name}[${items.length}]`]);
+        return items.length ? items : getPath(shaped, name);
+    };
+
+    return { active, fields, shape, valueOf };
+}
+
+// ==========================================
+// FILE FORMATS
+// ==========================================
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with one column per flattened key, in the order keys first appear
+ */
+export function toCsv(records) {
+    const rows = records.map(record => flattenRecord(record));
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) lines.push(columns.map(column => csvCell(row[column])).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+export const toNdjson = (records) => records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+const xmlEscape = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Characters XML 1.0 does not allow at all
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+// Number(null) is 0, so empty prices have to be caught first
+const toAmount = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+const availability = (inStock) => {
+    if (typeof inStock !== 'boolean') return null;
+    return inStock ? 'in_stock' : 'out_of_stock';
+};
+const merchantPrice = (amount, currency) => `${Number(amount).toFixed(2)} ${currency || 'AED'}`;
+
+/**
+ * One Google Merchant feed item; `read(path)` returns a product field
+ * Items without an id, title, link or price are left out, the feed rejects them anyway.
+ */
+export function toMerchantItem(read) {
+    const id = read('sku');
+    const title = read('title');
+    const link = read('url');
+    const price = toAmount(read('currentPrice'));
+    if (!id || !title || !link || !Number.isFinite(price)) return null;
+
+    const currency = read('currency');
+    const original = toAmount(read('originalPrice'));
+    const onSale = Number.isFinite(original) && original > price;
+    const images = [].concat(read('images') || []).filter(Boolean);
+    const image = read('image') || images[0];
+    const inStock = read('inStock');
+    const categoryPath = [].concat(read('categoryPath') || []).filter(Boolean);
+
+    const tags = [
+        ['g:id', id],
+        ['title', title],
+        ['description', read('description') || title],
+        ['link', link],
+        ['g:image_link', image],
+        ...images.filter(url => url !== image).slice(0, 10).map(url => ['g:additional_image_link', url]),
+        ['g:price', merchantPrice(onSale ? original : price, currency)],
+        ['g:sale_price', onSale ? merchantPrice(price, currency) : null],
+        ['g:availability', availability(inStock)],
+        ['g:brand', read('brand')],
+        ['g:condition', 'new'],
+        ['g:product_type', categoryPath.length ? categoryPath.join(' > ') : null],
+    ];
+    const body = tags
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([tag, value]) => `      <${tag}>${xmlEscape(value)}</${tag}>`)
+        .join('\n');
+    return `    <item>\n${body}\n    </item>`;
+}
+
+/**
+ * RSS 2.0 feed with Google Merchant (g:) attributes
+ */
+export function toMerchantXml(items, { title = 'Noon.com products', link = 'https://www.noon.com/' } = {}) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+        '  <channel>',
+        `    <title>${xmlEscape(title)}</title>`,
+        `    <link>${xmlEscape(link)}</link>`,
+        `    <description>${xmlEscape(title)}</description>`,
+        ...items.filter(Boolean),
+        '  </channel>',
+        '</rss>',
+        '',
+    ].join('\n');
+}
@@ -0,0 +1,1435 @@
+// Noon.com extractors - pure parsing functions shared by the crawler and the tests
+// Nothing in here does network I/O: callers pass in parsed JSON or a loaded cheerio document
+import { log } from 'apify';
+
+export const toAbs = (href, base = 'https://www.noon.com') => {
+    try { return new URL(href, base).href; } catch { return null; }
+};
+
+export const isProductLink = (href) => href && /\/p\//i.test(href);
+
+// Listing links look like /<slug>/<SKU>/p/, SKU shortcuts like /p/<SKU>
+export const extractSkuFromUrl = (href) => {
+    if (!href) return null;
+    const match = href.match(/\/([A-Z0-9]+)(?:\/p\/|\?|$)/i) || href.match(/\/p\/([A-Z0-9]+)/i);
+    return match ? match[1] : null;
+};
+
+export const cleanText = (text) => {
+    if (!text) return '';
+    return String(text).replace(/\s+/g, ' ').trim();
+};
+
+// List inputs may also arrive as a single value or be left empty
+export const asList = (value) => {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+};
+
+/**
+ * Match user-supplied names to known ones case-insensitively, dropping unknown ones and repeats
+ * `known` is a list of canonical names or a map of upper-case aliases to them
+ */
+export function matchKnownNames(values, known) {
+    const lookup = Array.isArray(known) ? Object.fromEntries(known.map(name => [name.toUpperCase(), name])) : known;
+    return asList(values)
+        .map(value => lookup[String(value).trim().toUpperCase()])
+        .filter((name, idx, all) => name && all.indexOf(name) === idx);
+}
+
+export const cleanPrice = (priceText) => {
+    if (!priceText) return null;
+    const match = String(priceText).match(/[\d,]+(\.\d+)?/);
+    return match ? parseFloat(match[0].replace(/,/g, '')) : null;
+};
+
+// Full-resolution gallery images live under /products/<image_key>.jpg on Noon's CDN
+export const buildImageUrl = (key) => {
+    if (!key || typeof key !== 'string') return null;
+    if (/^https?:\/\//i.test(key)) return key;
+    return `https://f.nooncdn.com/products/${key.replace(/^\/+/, '').replace(/\.(jpe?g|png|webp)$/i, '')}.jpg`;
+};
+
+/**
+ * Collect gallery images, videos and 360° frames from a product payload or listing hit
+ * Image keys are turned into full-resolution CDN URLs; anything already absolute is kept
+ */
+export function extractMedia(source) {
+    if (!source || typeof source !== 'object') return { images: [], videos: [], images360: [] };
+
+    const urlOf = (item) => (typeof item === 'string' ? item : item?.url || item?.src || item?.image_key || item?.key);
+    const unique = (list) => [...new Set(list.filter(Boolean))];
+
+    const images = unique([
+        ...asList(source.image_key),
+        ...asList(source.image_keys),
+        ...asList(source.images).map(urlOf),
+    ].map(buildImageUrl));
+
+    const videos = unique([
+        ...asList(source.video_url),
+        ...asList(source.videos).map(urlOf),
+        ...asList(source.video_urls),
+    ].filter(Boolean).map(v => (/^https?:\/\//i.test(v) ? v : toAbs(v, 'https://f.nooncdn.com/'))));
+
+    const images360 = unique([
+        ...asList(source.spin_keys),
+        ...asList(source.spin_images).map(urlOf),
+        ...asList(source.images_360).map(urlOf),
+        ...asList(source.image_360).map(urlOf),
+    ].map(buildImageUrl));
+
+    return { images, videos, images360 };
+}
+
+// Review counts are shown as "1,234" or "1.2K"
+export const parseCount = (str) => {
+    if (!str) return null;
+    const value = String(str).toUpperCase().includes('K') ?
+        Math.round(parseFloat(String(str).replace(/K/i, '')) * 1000) :
+        parseInt(String(str).replace(/,/g, ''), 10);
+    return Number.isNaN(value) ? null : value;
+};
+
+// ==========================================
+// STOREFRONT LOCALES
+// ==========================================
+
+// Noon storefronts are addressed by a `<country>-<language>` path prefix (e.g. /saudi-ar/)
+export const STOREFRONTS = {
+    uae: { country: 'AE', currency: 'AED' },
+    saudi: { country: 'SA', currency: 'SAR' },
+    egypt: { country: 'EG', currency: 'EGP' },
+};
+export const DEFAULT_LOCALE = 'uae-en';
+
+/**
+ * Resolve storefront locale info from a Noon URL path prefix
+ * Falls back to UAE/English when the prefix is missing or unknown
+ */
+export const parseLocale = (href) => {
+    let prefix = DEFAULT_LOCALE;
+    try {
+        const first = new URL(href, 'https://www.noon.com').pathname.split('/').filter(Boolean)[0] || '';
+        if (/^[a-z]+-(en|ar)$/i.test(first) && STOREFRONTS[first.split('-')[0].toLowerCase()]) {
+            prefix = first.toLowerCase();
+        }
+    } catch {
+        // keep default locale
+    }
+    const [store, language] = prefix.split('-');
+    const { country, currency } = STOREFRONTS[store];
+    return {
+        locale: prefix,
+        country,
+        language,
+        currency,
+        headerLocales: [`${language}-${country}`, language === 'en' ? 'en-US' : 'en'],
+        acceptLanguage: `${language}-${country},${language};q=0.9${language === 'en' ? '' : ',en;q=0.8'}`,
+    };
+};
+
+// ==========================================
+// PRICE FIELDS
+// ==========================================
+
+// "AED 1.25/100 ml", "2.30 / kg"
+const UNIT_PRICE_PATTERN = /([\d,]+(?:\.\d+)?)\s*\/\s*((?:\d+(?:\.\d+)?\s*)?(?:kg|g|ml|l|ltr|pcs?|pieces?|units?))\b/i;
+// Pack size in a title: "Olive Oil 500ml", "Water 6 x 1.5 L"
+// The unit has to end the word, and a size right after a model token ("Galaxy A55 5G") is part of the model name
+const PACK_SIZE_PATTERN = /(?<![a-z]+\d+[a-z]*\s+)(?:(\d+)\s*[x×]\s*)?(\d+(?:\.\d+)?)\s*(kg|g|gm|grams?|ml|l|ltr|litres?|liters?)(?=[\s.,;:)\]/-]|$)/gi;
+// "4G", "5G" - mobile network generations, not grams
+const NETWORK_GENERATION = /^[2-6]G$/;
+
+const round2 = (num) => Math.round(num * 100) / 100;
+
+// "100ml" -> "100 ml", "1 KG" -> "kg"
+const normaliseUnit = (unit) => {
+    const text = cleanText(unit).toLowerCase().replace(/(\d)\s*([a-z])/, '$1 $2');
+    return text.replace(/^1 /, '') || null;
+};
+
+/**
+ * Discount as a number: 35 from 35, "35", "35% OFF" or "-35%"
+ */
+export const parseDiscountPercent = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 && value < 100 ? value : null;
+    const text = String(value ?? '');
+    const match = text.match(/(\d+(?:\.\d+)?)\s*%/) || text.match(/^\s*-?(\d+(?:\.\d+)?)\s*$/);
+    const num = match ? parseFloat(match[1]) : null;
+    return num > 0 && num < 100 ? num : null;
+};
+
+/**
+ * Unit price shown next to the price, e.g. "AED 1.25/100 ml" -> { unitPrice: 1.25, unitPriceUnit: '100 ml' }
+ */
+export const parseUnitPrice = (text) => {
+    const match = String(text || '').match(UNIT_PRICE_PATTERN);
+    if (!match) return null;
+    return { unitPrice: cleanPrice(match[1]), unitPriceUnit: normaliseUnit(match[2]) };
+};
+
+/**
+ * Unit price from the pack size in the title: per kg for weights, per 100 ml for volumes
+ */
+export const computeUnitPrice = (price, title) => {
+    const match = [...String(title || '').matchAll(PACK_SIZE_PATTERN)].find(m => !NETWORK_GENERATION.test(m[0]));
+    if (!price || !match) return null;
+
+    const count = match[1] ? parseInt(match[1], 10) : 1;
+    const amount = parseFloat(match[2]) * count;
+    const unit = match[3].toLowerCase();
+    if (!amount) return null;
+
+    if (/^(kg|g|gm|grams?)$/.test(unit)) {
+        const grams = unit === 'kg' ? amount * 1000 : amount;
+        return { unitPrice: round2((price / grams) * 1000), unitPriceUnit: 'kg' };
+    }
+    const millilitres = unit === 'ml' ? amount : amount * 1000;
+    return { unitPrice: round2((price / millilitres) * 100), unitPriceUnit: '100 ml' };
+};
+
+// Unit price fields as Noon's listing hits and product payloads name them
+export const unitPriceFromHit = (hit) => {
+    const unitPrice = cleanPrice(hit?.uom_price);
+    if (!unitPrice) return {};
+    return { unitPrice, unitPriceUnit: normaliseUnit(hit.uom || hit.uom_unit || hit.uom_label || hit.unit_of_measure) };
+};
+
+/**
+ * Add numeric `discountPercent` and `unitPrice` fields and record whether each was scraped or computed
+ * Discounts are computed from current vs. original price whenever both are known; the scraped label is the fallback.
+ * Unit prices shown by Noon win over ones computed from the pack size in the title.
+ */
+export function withPriceFields(product, scraped = {}) {
+    const { currentPrice, originalPrice } = product;
+
+    let discountPercent = null;
+    let discountPercentSource = null;
+    const scrapedDiscount = parseDiscountPercent(scraped.discount ?? product.discount);
+    if (currentPrice > 0 && originalPrice > currentPrice) {
+        discountPercent = Math.round((1 - currentPrice / originalPrice) * 100);
+        discountPercentSource = 'computed';
+    } else if (scrapedDiscount !== null) {
+        discountPercent = scrapedDiscount;
+        discountPercentSource = 'scraped';
+    }
+
+    let unit = null;
+    let unitPriceSource = null;
+    if (scraped.unitPrice) {
+        unit = { unitPrice: scraped.unitPrice, unitPriceUnit: scraped.unitPriceUnit || null };
+        unitPriceSource = 'scraped';
+    } else {
+        unit = computeUnitPrice(currentPrice, product.title);
+        unitPriceSource = unit ? 'computed' : null;
+    }
+
+    return {
+        ...product,
+        // Raw label as shown ("35% OFF"); API values are numbers, so they get the same shape
+        discount: typeof product.discount === 'number' ? `${product.discount}%` : (product.discount || null),
+        discountPercent,
+        discountPercentSource,
+        unitPrice: unit?.unitPrice ?? null,
+        unitPriceUnit: unit?.unitPriceUnit ?? null,
+        unitPriceSource,
+    };
+}
+
+// ==========================================
+// AVAILABILITY
+// ==========================================
+
+// Stock, quantity limit, delivery estimate and fulfilment badges, in output order
+export const AVAILABILITY_FIELDS = [
+    'inStock',
+    'stockLeft',
+    'maxOrderQuantity',
+    'deliveryEstimate',
+    'deliveryDateFrom',
+    'deliveryDateTo',
+    'isExpress',
+    'isSupermall',
+    'isGlobal',
+];
+
+// "Only 3 left in stock" / "متبقي 3 فقط"
+const STOCK_LEFT_PATTERN = /only\s+(\d+)\s+left|(?:متبقي|بقي|باقي)\s+(\d+)\s+فقط/i;
+const OUT_OF_STOCK_PATTERN = /out of stock|sold out|currently unavailable|غير متوفر|نفذت الكمية/i;
+// "Get it by Tomorrow, Oct 20" / "Get it Oct 21 - 23"
+const DELIVERY_PATTERN = /(?:get it|delivered)\s+(?:by\s+|on\s+)?(?:today|tomorrow|(?:[a-z]{3,9},?\s+)?[a-z]{3,9}\s+\d{1,2})(?:,?\s+[a-z]{3,9}\s+\d{1,2})?(?:\s*-\s*(?:[a-z]{3,9}\s+)?\d{1,2})?/i;
+
+const firstInteger = (...values) => {
+    for (const value of values) {
+        const num = parseInt(value, 10);
+        if (Number.isFinite(num)) return num;
+    }
+    return null;
+};
+
+const toIsoDate = (value) => {
+    if (!value) return null;
+    // Epoch seconds and milliseconds both show up in Noon payloads
+    const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const parseStockLeft = (text) => {
+    const match = String(text || '').match(STOCK_LEFT_PATTERN);
+    return match ? parseInt(match[1] || match[2], 10) : null;
+};
+
+/**
+ * Pick the first known value of every availability field; null where no source knows it
+ */
+export const mergeAvailability = (...sources) => Object.fromEntries(AVAILABILITY_FIELDS.map(field => [
+    field,
+    sources.map(source => source?.[field]).find(value => value !== null && value !== undefined) ?? null,
+]));
+
+/**
+ * Availability from a listing hit, API product, detail payload or offer
+ * Only fields the source actually knows are returned, so callers can layer sources with mergeAvailability
+ */
+export function extractAvailability(source) {
+    if (!source || typeof source !== 'object') return {};
+    const result = {};
+
+    const stock = firstInteger(source.stock, source.stock_count, source.quantity_available, source.available_quantity);
+    const stockLeft = stock ?? parseStockLeft(source.stock_indicator || source.stock_text || source.low_stock_text);
+    if (stockLeft !== null) result.stockLeft = stockLeft;
+
+    const buyable = source.is_buyable ?? source.in_stock ?? source.is_in_stock;
+    if (typeof buyable === 'boolean') result.inStock = buyable && stockLeft !== 0;
+    else if (typeof source.out_of_stock === 'boolean') result.inStock = !source.out_of_stock;
+    else if (stockLeft !== null) result.inStock = stockLeft > 0;
+
+    const maxQty = firstInteger(source.max_qty, source.max_quantity, source.max_order_quantity, source.max_allowed_qty);
+    if (maxQty !== null) result.maxOrderQuantity = maxQty;
+
+    // Delivery estimate comes as plain text, an ISO date or a { text, from, to } window
+    const delivery = source.estimated_delivery ?? source.delivery_estimate ?? source.estimated_delivery_date
+        ?? source.delivery_date;
+    if (delivery && typeof delivery === 'object') {
+        result.deliveryEstimate = cleanText(delivery.text || delivery.label || delivery.message) || null;
+        result.deliveryDateFrom = toIsoDate(delivery.from || delivery.min_date || delivery.start || delivery.date);
+        result.deliveryDateTo = toIsoDate(delivery.to || delivery.max_date || delivery.end || delivery.date);
+    } else if (delivery) {
+        result.deliveryEstimate = cleanText(delivery);
+        if (typeof delivery === 'number' || /^\d{4}-\d{2}-\d{2}/.test(delivery)) {
+            result.deliveryDateFrom = toIsoDate(delivery);
+            result.deliveryDateTo = result.deliveryDateFrom;
+        }
+    }
+
+    // Badges are either boolean flags or entries in a flags/badges list
+    const flags = [source.flags, source.badges, source.tags]
+        .filter(Array.isArray)
+        .flat()
+        .map(flag => String(flag?.code ?? flag?.name ?? flag).toLowerCase());
+    const badge = (explicit, ...names) => {
+        if (typeof explicit === 'boolean') return explicit;
+        if (flags.length) return flags.some(flag => names.some(name => flag.includes(name)));
+        return undefined;
+    };
+    // noon Express is fulfilment by noon (FBN)
+    const badges = {
+        isExpress: badge(source.is_express ?? source.is_fbn, 'express', 'fbn'),
+        isSupermall: badge(source.is_supermall, 'supermall'),
+        isGlobal: badge(source.is_global ?? source.is_cross_border, 'global', 'cross_border'),
+    };
+    for (const [field, value] of Object.entries(badges)) {
+        if (value !== undefined) result[field] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Availability shown as text and badge images on a product card or detail page
+ */
+export function extractAvailabilityFromHtml($, $root) {
+    const result = {};
+    const text = cleanText($root.text());
+
+    const stockLeft = parseStockLeft(text);
+    if (stockLeft !== null) {
+        result.stockLeft = stockLeft;
+        result.inStock = stockLeft > 0;
+    } else if (OUT_OF_STOCK_PATTERN.test(text)) {
+        result.inStock = false;
+    }
+
+    const deliveryText = cleanText(
+        $root.find('[data-qa*="delivery"], [class*="estimatedDelivery"], [class*="EstimatedDelivery"]').first().text()
+    ) || text.match(DELIVERY_PATTERN)?.[0];
+    if (deliveryText) result.deliveryEstimate = cleanText(deliveryText);
+
+    // Badges are images (alt/src) or elements tagged with data-qa
+    const badgeText = $root.find('img, [data-qa]').toArray()
+        .map(el => [$(el).attr('alt'), $(el).attr('src'), $(el).attr('data-qa')].filter(Boolean).join(' '))
+        .join(' ')
+        .toLowerCase();
+    result.isExpress = /express/.test(badgeText);
+    result.isSupermall = /supermall/.test(badgeText);
+    result.isGlobal = /global/.test(badgeText);
+
+    return result;
+}
+
+// ==========================================
+// SPONSORED PLACEMENTS AND RANKS
+// ==========================================
+
+// Whole text of a sponsored badge: "Sponsored", "Ad", Arabic "إعلان" / "ممول" (diacritics removed first)
+const SPONSORED_BADGE_PATTERN = /^(?:sponsored|ad|إعلان|ممول)$/i;
+const ARABIC_DIACRITICS = /[\u064B-\u0652]/g;
+
+/**
+ * Whether a listing hit is an ad placement; false when the hit carries no ad marker
+ */
+export function isSponsoredHit(hit) {
+    if (!hit || typeof hit !== 'object') return null;
+    for (const key of ['is_sponsored', 'isSponsored', 'sponsored', 'is_ad', 'isAd']) {
+        if (typeof hit[key] === 'boolean') return hit[key];
+    }
+    if (hit.ad_info || hit.adInfo || hit.sponsored_info || hit.ad_id || hit.adId) return true;
+    return [].concat(hit.flags || [], hit.tags || [], hit.badges || [])
+        .map(tag => String(tag?.name ?? tag?.type ?? tag).toLowerCase())
+        .some(tag => tag.includes('sponsor') || tag === 'ad');
+}
+
+/**
+ * Whether a product card carries a sponsored badge (marked by data-qa/class or by the badge text)
+ */
+export function isSponsoredCard($, $card) {
+    const marker = '[data-qa*="sponsor" i], [class*="sponsor" i]';
+    if ($card.is(marker) || $card.find(marker).length > 0) return true;
+    return $card.find('span, div, p, small').toArray()
+        .some(el => SPONSORED_BADGE_PATTERN.test(cleanText($(el).text()).replace(ARABIC_DIACRITICS, '')));
+}
+
+/**
+ * Shelf ranks for one listing page, in page order
+ * Absolute ranks count every product, organic ranks skip sponsored ones; products not known to be sponsored
+ * count as organic. Both continue from the previous pages' offsets, which are returned for the next page.
+ */
+export function rankListingProducts(products, { positionOffset = 0, organicOffset = 0 } = {}) {
+    let organicOnPage = 0;
+    const ranked = products.map((product, idx) => {
+        const organic = product.isSponsored !== true;
+        if (organic) organicOnPage++;
+        return {
+            ...product,
+            pageRank: idx + 1,
+            organicPageRank: organic ? organicOnPage : null,
+            absoluteRank: positionOffset + idx + 1,
+            organicRank: organic ? organicOffset + organicOnPage : null,
+        };
+    });
+    return {
+        products: ranked,
+        positionOffset: positionOffset + products.length,
+        organicOffset: organicOffset + organicOnPage,
+    };
+}
+
+// ==========================================
+// API RESPONSES
+// ==========================================
+
+/**
+ * Extract product data from API response
+ * Noon.com uses GraphQL/REST API for product listings
+ */
+export function extractProductFromAPI(product, locale = parseLocale(DEFAULT_LOCALE)) {
+    try {
+        // Validate required fields
+        if (!product || !product.sku) {
+            return null;
+        }
+
+        const sku = product.sku || product.product_code || product.id;
+        const url = product.url || product.product_url ||
+            (sku ? `https://www.noon.com/${locale.locale}/p/${sku}` : null);
+
+        return withPriceFields({
+            title: cleanText(product.name || product.title || product.product_name),
+            url: url ? toAbs(url) : null,
+            image: product.image_url || product.image || product.thumbnail || null,
+            images: extractMedia(product).images,
+            brand: cleanText(product.brand || product.brand_name) || null,
+            description: cleanText(product.description || product.overview || product.summary) || null,
+            currentPrice: cleanPrice(product.sale_price || product.price || product.offer_price),
+            // With a sale price set, `price` is the list price
+            originalPrice: cleanPrice(product.was_price || product.list_price || product.original_price
+                || (product.sale_price ? product.price : null)),
+            discount: product.discount_percentage || product.discount || null,
+            rating: product.rating || product.average_rating || null,
+            reviewsCount: product.reviews_count || product.rating_count || null,
+            ...mergeAvailability(extractAvailability(product)),
+            isSponsored: isSponsoredHit(product),
+            sku,
+            currency: product.currency || locale.currency,
+            country: locale.country,
+            language: locale.language,
+            scrapedAt: new Date().toISOString(),
+        }, unitPriceFromHit(product));
+    } catch (err) {
+        log.error(`Error extracting API product: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Pull products and pagination out of a listing API response
+ * Returns null when the body holds no recognisable product array
+ */
+export function parseApiResponse(data, page, locale, maxPages) {
+    if (!data || typeof data !== 'object') return null;
+
+    // Common API response structures
+    let products = [];
+    if (data.products && Array.isArray(data.products)) {
+        products = data.products;
+    } else if (data.data && Array.isArray(data.data.products)) {
+        products = data.data.products;
+    } else if (data.hits && Array.isArray(data.hits)) {
+        products = data.hits;
+    } else if (data.results && Array.isArray(data.results)) {
+        products = data.results;
+    } else if (Array.isArray(data)) {
+        products = data;
+    }
+
+    if (products.length === 0) return null;
+
+    // Extract pagination info
+    const pagination = {
+        hasNext: false,
+        totalPages: data.total_pages || data.totalPages || maxPages,
+        currentPage: page,
+    };
+
+    if (data.pagination) {
+        pagination.hasNext = data.pagination.has_next || page < pagination.totalPages;
+    } else if (data.next || data.nextPage) {
+        pagination.hasNext = true;
+    }
+
+    return {
+        products: products.map(p => extractProductFromAPI(p, locale)).filter(Boolean),
+        pagination,
+    };
+}
+
+// ==========================================
+// HTML PARSING (FALLBACK METHOD)
+// ==========================================
+
+export function extractProductData($, productElement, baseUrl, productMap = {}) {
+    try {
+        const $product = $(productElement);
+
+        // Product URL - use the main product link
+        const productLink = $product.find('a[href*="/p/"]').first();
+        const productUrl = productLink.attr('href');
+        const fullUrl = productUrl ? toAbs(productUrl, baseUrl) : null;
+
+        if (!fullUrl) return null;
+
+        // Product SKU/ID from URL - improved regex
+        const sku = extractSkuFromUrl(fullUrl);
+        const locale = parseLocale(baseUrl);
+
+        // --- TRY JSON LOOKUP FIRST ---
+        let jsonProduct = null;
+        if (sku && productMap[sku]) {
+            jsonProduct = productMap[sku];
+        }
+
+        // Product Title - use data-qa selector (Noon uses plp-product-box-name)
+        const title = cleanText(
+            jsonProduct?.name ||
+            jsonProduct?.title ||
+            $product.find('[data-qa="plp-product-box-name"]').text() ||
+            $product.find('h2').first().text() ||
+            $product.find('[class*="productTitle"]').text() ||
+            productLink.attr('title')
+        );
+
+        if (!title) return null;
+
+        // Product Image - use data-qa selector
+        const imageElement = $product.find('[data-qa^="productImagePLP"] img, img[src*="nooncdn"], img').first();
+        const image = jsonProduct?.image_key ? buildImageUrl(jsonProduct.image_key) : (
+            imageElement.attr('src') ||
+            imageElement.attr('data-src') ||
+            imageElement.attr('srcset')?.split(' ')[0] || null
+        );
+        const jsonImages = extractMedia(jsonProduct).images;
+        const images = jsonImages.length ? jsonImages : [image].filter(Boolean);
+
+        // Price information - use data-qa selector
+        const priceContainer = $product.find('[data-qa="plp-product-box-price"]');
+
+        // Current price
+        const currentPriceText = priceContainer.find('strong').first().text() ||
+            priceContainer.find('[class*="sellingPrice"], [class*="current"]').first().text() ||
+            priceContainer.text();
+
+        // Original price
+        const originalPriceText = priceContainer.find('[class*="oldPrice"], [class*="wasPrice"], [class*="was"], span[style*="line-through"]').first().text() ||
+            priceContainer.find('span').filter((_, el) => {
+                const text = $(el).text();
+                const price = cleanPrice(text);
+                return price && price > cleanPrice(currentPriceText);
+            }).first().text();
+
+        const discountText = $product.find('[class*="discount"], [data-qa*="discount"], [class*="OFF"]').first().text();
+
+        // uom_price is the price per unit (kg, 100 ml), not the selling price
+        const currentPrice = jsonProduct?.sale_price || cleanPrice(currentPriceText);
+        const originalPrice = jsonProduct?.price || jsonProduct?.original_price || cleanPrice(originalPriceText);
+        const discount = discountText ? cleanText(discountText) : null;
+        const jsonUnitPrice = unitPriceFromHit(jsonProduct);
+        const shownUnitPrice = jsonUnitPrice.unitPrice ? jsonUnitPrice : (parseUnitPrice($product.text()) || {});
+
+        // --- RATING & REVIEWS ---
+        let rating = jsonProduct?.brand_rating?.value || jsonProduct?.rating || null;
+        let reviewsCount = jsonProduct?.rating_count || jsonProduct?.reviews_count || null;
+
+        // DOM Fallback for Rating
+        if (!rating) {
+            const ratingText = $product.find('[class*="RatingPreviewStar"] [class*="textCtr"]').text() ||
+                $product.find('[class*="RatingPreviewStar"] span').first().text();
+            const ratingMatch = ratingText ? ratingText.match(/([1-5]\.?\d?)/) : null;
+            if (ratingMatch) {
+                rating = parseFloat(ratingMatch[1]);
+            } else {
+                // Regex search in full text
+                const productBoxText = $product.text();
+                const patterns = [/\b([1-5]\.\d{1,2})\b/, /([1-5])\s*(?:stars?|out of 5)/i];
+                for (const pattern of patterns) {
+                    const match = productBoxText.match(pattern);
+                    if (match) {
+                        rating = parseFloat(match[1]);
+                        break;
+                    }
+                }
+            }
+        }
+
+        // DOM Fallback for Reviews
+        if (!reviewsCount) {
+            // Try sibling of rating star container (common pattern on listing page)
+            const reviewsSpan = $product.find('[class*="RatingPreviewStar"] + div span').text();
+            if (reviewsSpan) {
+                const match = reviewsSpan.match(/(\d+(?:,\d+)*(?:\.\d+)?K?)/i);
+                if (match) reviewsCount = parseCount(match[1]);
+            }
+
+            if (!reviewsCount) {
+                // Full text regex fallback
+                const productBoxText = $product.text();
+                const patterns = [
+                    /\((\d+(?:,\d+)*(?:\.\d+)?K?)\)/,
+                    /(\d+(?:,\d+)*)\s*(?:ratings?|reviews?)/i
+                ];
+                for (const pattern of patterns) {
+                    const match = productBoxText.match(pattern);
+                    if (match) {
+                        reviewsCount = parseCount(match[1]);
+                        break;
+                    }
+                }
+            }
+        }
+
+        // --- BRAND ---
+        let brand = cleanText(
+            jsonProduct?.brand ||
+            jsonProduct?.brand_name ||
+            $product.find('[data-qa*="brand"], a[href*="/brand/"]').first().text()
+        );
+
+        // Listing page fallback: First word of title if not found (very common on Noon listing cards)
+        if (!brand && title) {
+            const titleParts = title.split(' ');
+            if (titleParts.length > 0) {
+                // Simple heuristic: Take first word if capitalized
+                if (/^[A-Z0-9]/.test(titleParts[0])) {
+                    brand = titleParts[0];
+                }
+            }
+        }
+
+        return withPriceFields({
+            title,
+            url: fullUrl,
+            image,
+            images,
+            brand: brand || null,
+            description: null, // filled via detail page enrichment if available
+            currentPrice,
+            originalPrice,
+            discount,
+            rating,
+            reviewsCount,
+            ...mergeAvailability(extractAvailability(jsonProduct), extractAvailabilityFromHtml($, $product)),
+            isSponsored: isSponsoredHit(jsonProduct) === true || isSponsoredCard($, $product),
+            sku,
+            currency: locale.currency,
+            country: locale.country,
+            language: locale.language,
+            scrapedAt: new Date().toISOString(),
+        }, shownUnitPrice);
+    } catch (err) {
+        log.error(`Error extracting HTML product: ${err.message}`);
+        return null;
+    }
+}
+
+// Helper to recursively find "hits" or products array
+export const findHits = (obj, depth = 0) => {
+    if (!obj || depth > 5) return [];
+    if (Array.isArray(obj)) return obj; // If it's already an array, check it
+    if (obj.hits && Array.isArray(obj.hits)) return obj.hits;
+    if (obj.products && Array.isArray(obj.products)) return obj.products;
+
+    // Should be in props.pageProps.catalog.hits usually
+    for (const value of Object.values(obj)) {
+        if (typeof value === 'object') {
+            const found = findHits(value, depth + 1);
+            if (found && found.length > 0) return found;
+        }
+    }
+    return [];
+};
+
+/**
+ * Map the listing page's __NEXT_DATA__ hits by SKU so cards can be matched to their JSON
+ * Throws on malformed JSON; callers treat that as "no hidden data"
+ */
+export function buildProductMap($) {
+    const productMap = {};
+    const nextDataScript = $('#__NEXT_DATA__').html();
+    if (!nextDataScript) return productMap;
+
+    const nextData = JSON.parse(nextDataScript);
+
+    // Try standard path first for speed
+    let hits = nextData?.props?.pageProps?.catalog?.hits ||
+        nextData?.props?.pageProps?.initialData?.catalog?.hits;
+
+    // If not found, search
+    if (!hits || hits.length === 0) {
+        hits = findHits(nextData?.props?.pageProps);
+    }
+
+    if (hits && Array.isArray(hits)) {
+        hits.forEach(hit => {
+            if (hit?.sku || hit?.product_code) {
+                productMap[hit.sku || hit.product_code] = hit;
+            }
+        });
+    }
+    return productMap;
+}
+
+/**
+ * Validate product data before saving
+ */
+export function validateProduct(product) {
+    if (!product) return false;
+
+    // Required fields
+    if (!product.title || !product.url) {
+        log.warning(`⚠️ Invalid product: missing required fields (title or url)`);
+        return false;
+    }
+
+    // Title validation
+    if (product.title.length < 5 || product.title.length > 500) {
+        log.warning(`⚠️ Invalid product: title length out of range`);
+        return false;
+    }
+
+    return true;
+}
+
+// ==========================================
+// CATEGORY PAGES
+// ==========================================
+
+const withTrailingSlash = (path) => (path.endsWith('/') ? path : `${path}/`);
+
+// "mobiles-20905" -> "Mobiles"
+const nameFromSlug = (slug) => cleanText(String(slug || '').replace(/-\d+$/, '').replace(/[-_]+/g, ' '))
+    .replace(/\b\w/g, ch => ch.toUpperCase());
+
+/**
+ * Display name of a category page for the breadcrumb
+ */
+export function extractCategoryName($, pageUrl) {
+    const heading = cleanText($('h1').first().text());
+    if (heading) return heading;
+    try {
+        const segments = new URL(pageUrl).pathname.split('/').filter(Boolean);
+        return nameFromSlug(segments[segments.length - 1]) || null;
+    } catch {
+        return null;
+    }
+}
+
+// Recursively collect category-like entries ({ name, url | url_path | path | code }) from __NEXT_DATA__
+const findCategoryEntries = (obj, depth = 0) => {
+    if (!obj || typeof obj !== 'object' || depth > 6) return [];
+    if (Array.isArray(obj)) return obj.flatMap(item => findCategoryEntries(item, depth + 1));
+
+    const isCategoryFacet = /^(category|categories)$/i.test(obj.code || obj.key || '');
+    const lists = [];
+    for (const [key, value] of Object.entries(obj)) {
+        if (!Array.isArray(value)) continue;
+        if (/^(sub_?)?categor(y|ies)$|^children$/i.test(key) || (isCategoryFacet && /^(data|items|values)$/i.test(key))) {
+            lists.push(...value.filter(v => v && typeof v === 'object' && v.name));
+        }
+    }
+    if (lists.length) return lists;
+
+    for (const value of Object.values(obj)) {
+        const found = findCategoryEntries(value, depth + 1);
+        if (found.length) return found;
+    }
+    return [];
+};
+
+/**
+ * Find the subcategories one level below a category page
+ * Uses the category facet in __NEXT_DATA__ when present, otherwise category and navigation links
+ */
+export function extractSubcategories($, pageUrl) {
+    let current;
+    try {
+        current = new URL(pageUrl);
+    } catch {
+        return [];
+    }
+    const basePath = withTrailingSlash(current.pathname);
+    const found = new Map();
+
+    const add = (href, name) => {
+        const abs = toAbs(href, current.href);
+        if (!abs || isProductLink(abs)) return;
+        const url = new URL(abs);
+        if (url.hostname !== current.hostname) return;
+
+        const path = withTrailingSlash(url.pathname);
+        const rest = path.startsWith(basePath) ? path.slice(basePath.length).split('/').filter(Boolean) : [];
+        if (rest.length !== 1 || rest[0] === 'search') return;
+
+        const clean = `${url.origin}${path}`;
+        if (!found.has(clean)) found.set(clean, { url: clean, name: cleanText(name) || nameFromSlug(rest[0]) });
+    };
+
+    try {
+        const raw = $('#__NEXT_DATA__').html();
+        if (raw) {
+            const entries = findCategoryEntries(JSON.parse(raw)?.props?.pageProps);
+            for (const entry of entries) {
+                const href = entry.url || entry.url_path || entry.path || (entry.code ? `${basePath}${entry.code}/` : null);
+                if (href) add(href, entry.name);
+            }
+        }
+    } catch {
+        // fall back to links
+    }
+
+    if (!found.size) {
+        $('[data-qa*="category"] a[href], [class*="CategoryList"] a[href], [class*="categoryList"] a[href], nav a[href]').each((_, el) => {
+            add($(el).attr('href'), $(el).text());
+        });
+    }
+
+    return [...found.values()];
+}
+
+// ==========================================
+// DETAIL PAGES
+// ==========================================
+
+// Return the raw JSON text of the value starting at `start` (object, array or string)
+const sliceJsonValue = (text, start) => {
+    let i = start;
+    while (i < text.length && /\s/.test(text[i])) i++;
+    const open = text[i];
+    if (open !== '[' && open !== '{' && open !== '"') return null;
+
+    let depth = 0;
+    let inString = false;
+    for (let j = i; j < text.length; j++) {
+        const ch = text[j];
+        if (inString) {
+            if (ch === '\\') {
+                j++;
+            } else if (ch === '"') {
+                inString = false;
+                if (open === '"') return text.slice(i, j + 1);
+            }
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '[' || ch === '{') {
+            depth++;
+        } else if (ch === ']' || ch === '}') {
+            depth--;
+            if (depth === 0) return text.slice(i, j + 1);
+        }
+    }
+    return null;
+};
+
+/**
+ * Read the JSON value stored under `key` anywhere in a script body
+ * Brackets and strings are walked, so nested arrays and objects come back whole.
+ * Also handles payloads embedded as an escaped string (self.__next_f chunks).
+ */
+export function extractJsonValue(text, key) {
+    if (!text) return undefined;
+
+    const plainIdx = text.indexOf(`"${key}":`);
+    if (plainIdx !== -1) {
+        const raw = sliceJsonValue(text, plainIdx + key.length + 3);
+        try {
+            if (raw !== null) return JSON.parse(raw);
+        } catch {
+            // fall through to the escaped form
+        }
+    }
+
+    const escapedIdx = text.indexOf(`\\"${key}\\":`);
+    if (escapedIdx !== -1) {
+        // Undo one level of string escaping for the part after the key, in one pass so \\" stays a backslash and a quote
+        const tail = text.slice(escapedIdx + key.length + 5, escapedIdx + 200000)
+            .replace(/\\(["\\])/g, '$1');
+        const raw = sliceJsonValue(tail, 0);
+        try {
+            if (raw !== null) return JSON.parse(raw);
+        } catch {
+            // not parseable
+        }
+    }
+
+    return undefined;
+}
+
+// Long descriptions come as HTML fragments or text with \n line breaks
+export const toPlainText = (value) => {
+    if (!value || typeof value !== 'string') return '';
+    return value
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .split('\n')
+        .map(line => cleanText(line))
+        .filter(Boolean)
+        .join('\n');
+};
+
+const normaliseFeatures = (bullets) => (Array.isArray(bullets) ? bullets : [])
+    .map(b => cleanText(toPlainText(typeof b === 'string' ? b : b?.value || b?.text)))
+    .filter(Boolean);
+
+const normaliseSpecifications = (specs) => (Array.isArray(specs) ? specs : [])
+    .map(spec => ({
+        name: cleanText(spec?.name || spec?.code),
+        value: cleanText(Array.isArray(spec?.value) ? spec.value.join(', ') : spec?.value),
+    }))
+    .filter(spec => spec.name && spec.value);
+
+/**
+ * Locate the product payload inside a detail page's __NEXT_DATA__
+ * Usually props.pageProps.catalog.product, otherwise the first object carrying a variants array
+ */
+export function findNextDataProduct($) {
+    const raw = $('#__NEXT_DATA__').html();
+    if (!raw) return null;
+
+    let nextData;
+    try {
+        nextData = JSON.parse(raw);
+    } catch {
+        return null;
+    }
+
+    const direct = nextData?.props?.pageProps?.catalog?.product ||
+        nextData?.props?.pageProps?.initialData?.catalog?.product ||
+        nextData?.props?.pageProps?.product;
+    if (direct && typeof direct === 'object') return direct;
+
+    const search = (obj, depth = 0) => {
+        if (!obj || typeof obj !== 'object' || depth > 6) return null;
+        if (!Array.isArray(obj) && obj.sku && Array.isArray(obj.variants)) return obj;
+        for (const value of Object.values(obj)) {
+            const found = search(value, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    };
+    return search(nextData?.props?.pageProps);
+}
+
+/**
+ * Flatten a product payload into one entry per size variant and per sibling colour
+ * Sizes are child SKUs of the product; colours are separate parent SKUs in the colour group
+ */
+export function extractVariants(payload, product) {
+    if (!payload) return [];
+
+    const parentSku = payload.sku || product.sku || null;
+    const locale = parseLocale(product.url);
+    const currency = product.currency || locale.currency;
+    const colourGroup = (payload.groups || []).find(g => /colou?r/i.test(`${g?.code || ''} ${g?.name || ''}`));
+    const currentColour = cleanText(
+        colourGroup?.options?.find(o => o?.sku === parentSku)?.name ||
+        payload.colour_name ||
+        payload.colour ||
+        payload.color
+    ) || null;
+
+    // First offer is the buy box; sale_price is only present when discounted
+    const offerPrices = (offers, fallback) => {
+        const offer = (Array.isArray(offers) && offers[0]) || fallback || {};
+        const sale = cleanPrice(offer.sale_price);
+        const list = cleanPrice(offer.price);
+        return {
+            currentPrice: sale || list || null,
+            originalPrice: sale && list > sale ? list : null,
+        };
+    };
+
+    const variants = (payload.variants || []).filter(Boolean).map(v => {
+        const offers = Array.isArray(v.offers) ? v.offers : [];
+        return {
+            sku: v.sku || null,
+            parentSku,
+            colour: currentColour,
+            size: cleanText(v.variant || v.size || v.name) || null,
+            ...offerPrices(offers, v),
+            currency,
+            inStock: offers.some(o => (o?.stock ?? 1) > 0 && o?.is_buyable !== false),
+            url: product.url,
+        };
+    });
+
+    for (const option of colourGroup?.options || []) {
+        if (!option?.sku || option.sku === parentSku) continue;
+        variants.push({
+            sku: option.sku,
+            parentSku,
+            colour: cleanText(option.name) || null,
+            size: null,
+            ...offerPrices(option.offers, option),
+            currency,
+            inStock: option.is_available ?? null,
+            url: option.url ? toAbs(option.url) : `https://www.noon.com/${locale.locale}/p/${option.sku}`,
+        });
+    }
+
+    return variants;
+}
+
+// Raw offers for the product's own variant (falling back to the first variant with offers), buy box first
+const rawOffers = (payload, product) => {
+    if (!payload) return [];
+
+    const variantList = Array.isArray(payload.variants) ? payload.variants.filter(Boolean) : [];
+    const variant = variantList.find(v => v.sku === product.sku && Array.isArray(v.offers)) ||
+        variantList.find(v => Array.isArray(v.offers) && v.offers.length);
+    const offers = variant?.offers || (Array.isArray(payload.offers) ? payload.offers : []);
+    return offers.filter(Boolean);
+};
+
+/**
+ * SKUs a detail page is about: JSON-LD Product nodes and the __NEXT_DATA__ product payload with its variants
+ * Error and "not available" pages show other products at most, so the requested SKU is missing from the list.
+ */
+export function pageProductSkus($) {
+    const skus = new Set();
+    const add = (value) => {
+        if (value) skus.add(String(value).trim().toUpperCase());
+    };
+
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            const parsed = JSON.parse($(el).text().trim());
+            for (const node of Array.isArray(parsed) ? parsed : [parsed]) {
+                const type = node?.['@type'];
+                if (type !== 'Product' && !(Array.isArray(type) && type.includes('Product'))) continue;
+                add(node.sku);
+                add(node.productID);
+            }
+        } catch {
+            // ignore malformed JSON-LD
+        }
+    });
+
+    const payload = findNextDataProduct($);
+    add(payload?.sku);
+    for (const variant of Array.isArray(payload?.variants) ? payload.variants : []) add(variant?.sku);
+
+    return [...skus];
+}
+
+/**
+ * Seller offers for the product, buy box first
+ * Offers hang off the matching size variant, or the payload itself for single-variant products
+ */
+export function extractOffers(payload, product) {
+    const currency = product.currency || parseLocale(product.url).currency;
+
+    return rawOffers(payload, product).map((offer, idx) => {
+        const sale = cleanPrice(offer.sale_price);
+        const list = cleanPrice(offer.price);
+        const sellerRating = offer.partner_ratings_sellerlab || offer.seller_rating || {};
+        return {
+            seller: cleanText(offer.store_name || offer.partner_name || offer.seller_name) || null,
+            sellerCode: offer.partner_code || offer.seller_code || null,
+            offerCode: offer.offer_code || null,
+            isBuyBox: idx === 0,
+            currentPrice: sale || list || null,
+            originalPrice: sale && list > sale ? list : null,
+            currency,
+            fulfilledByNoon: Boolean(offer.is_fbn ?? offer.fulfilled_by_noon),
+            isExpress: Boolean(offer.is_express ?? offer.flags?.includes?.('express')),
+            sellerRating: parseFloat(sellerRating.partner_rating ?? sellerRating.value) || null,
+            sellerRatingsCount: parseInt(sellerRating.num_of_rating ?? sellerRating.count, 10) || null,
+            inStock: (offer.stock ?? 1) > 0 && offer.is_buyable !== false,
+        };
+    });
+}
+
+/**
+ * Parse a loaded product detail page and merge its fields into the product
+ * Shared by detail enrichment and the DETAIL route
+ */
+export function parseProductDetails($, product) {
+    // Try structured data first (JSON-LD) - most reliable source
+    let ldDescription = null;
+    let ldBrand = null;
+    let ldRating = null;
+    let ldReviews = null;
+    let ldName = null;
+    let ldImages = [];
+    let ldPrice = null;
+    let ldCurrency = null;
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            const parsed = JSON.parse($(el).text().trim());
+            const nodes = Array.isArray(parsed) ? parsed : [parsed];
+            for (const node of nodes) {
+                if (!node || typeof node !== 'object') continue;
+                const isProduct = node['@type'] === 'Product' || (Array.isArray(node['@type']) && node['@type'].includes('Product'));
+                if (!isProduct) continue;
+
+                ldName = ldName || cleanText(node.name);
+                if (!ldImages.length && node.image) {
+                    ldImages = (Array.isArray(node.image) ? node.image : [node.image])
+                        .map(img => (typeof img === 'string' ? img : img?.url || img?.contentUrl))
+                        .filter(Boolean);
+                }
+                const offer = Array.isArray(node.offers) ? node.offers[0] : node.offers;
+                if (offer) {
+                    ldPrice = ldPrice || cleanPrice(offer.price || offer.lowPrice);
+                    ldCurrency = ldCurrency || offer.priceCurrency || null;
+                }
+                ldDescription = ldDescription || cleanText(node.description || node?.mainEntity?.description);
+                const brandVal = node.brand;
+                if (brandVal) {
+                    if (typeof brandVal === 'string') ldBrand = ldBrand || cleanText(brandVal);
+                    if (typeof brandVal === 'object') ldBrand = ldBrand || cleanText(brandVal.name);
+                }
+                const agg = node.aggregateRating || node?.mainEntity?.aggregateRating;
+                if (agg) {
+                    ldRating = ldRating || parseFloat(agg.ratingValue || agg.rating);
+                    ldReviews = ldReviews || parseInt(agg.reviewCount || agg.ratingCount, 10);
+                }
+            }
+        } catch {
+            // ignore malformed JSON-LD
+        }
+    });
+
+    // Description - try multiple sources (user-provided selector first)
+    const metaDescription = cleanText(
+        $('meta[name="description"]').attr('content') ||
+        $('meta[property="og:description"]').attr('content')
+    );
+
+    // Try to find data in script tags (Next.js data often in self.__next_f or similar)
+    const scriptData = {
+        rating: null,
+        reviews: null,
+        longDescription: null,
+        features: null,
+        specifications: null,
+        brand: null,
+        salePrice: null,
+        price: null,
+    };
+
+    $('script').each((_, el) => {
+        const text = $(el).html();
+        if (!text) return;
+
+        // Extract rating from JSON in scripts (e.g. "brand_rating":{"value":4.3})
+        if (!scriptData.rating) {
+            const rateMatch = text.match(/"brand_rating":\s*\{\s*"value":\s*([0-9.]+)/);
+            if (rateMatch) scriptData.rating = parseFloat(rateMatch[1]);
+        }
+
+        // Extract reviews count
+        if (!scriptData.reviews) {
+            const revMatch = text.match(/"rating_count":\s*([0-9]+)/) ||
+                text.match(/"review_count":\s*([0-9]+)/) ||
+                text.match(/"count":\s*([0-9]+),\s*"average"/); // common pattern
+            if (revMatch) scriptData.reviews = parseInt(revMatch[1], 10);
+        }
+
+        // Extract long description, highlights and specifications as real JSON values
+        if (scriptData.longDescription === null) {
+            const value = extractJsonValue(text, 'long_description');
+            if (typeof value === 'string' && value.trim()) scriptData.longDescription = value;
+        }
+        if (!scriptData.features) {
+            const value = extractJsonValue(text, 'feature_bullets');
+            if (Array.isArray(value) && value.length > 0) scriptData.features = value;
+        }
+        if (!scriptData.specifications) {
+            const value = extractJsonValue(text, 'specifications');
+            if (Array.isArray(value) && value.length > 0) scriptData.specifications = value;
+        }
+
+        // Extract prices (sale_price is the current selling price, price the list price)
+        if (!scriptData.salePrice) {
+            const saleMatch = text.match(/"sale_price":\s*([0-9.]+)/);
+            if (saleMatch) scriptData.salePrice = parseFloat(saleMatch[1]);
+        }
+        if (!scriptData.price) {
+            const priceMatch = text.match(/"price":\s*([0-9.]+)/);
+            if (priceMatch) scriptData.price = parseFloat(priceMatch[1]);
+        }
+
+        // Extract brand
+        if (!scriptData.brand) {
+            const brandMatch = text.match(/"brand":\s*\{\s*"code":\s*"[^"]+",\s*"name":\s*"([^"]+)"/);
+            if (brandMatch) scriptData.brand = cleanText(brandMatch[1]);
+        }
+    });
+
+    // Overview content - the __NEXT_DATA__ product payload wins over loose script matches
+    const payload = findNextDataProduct($);
+    const longDescription = toPlainText(payload?.long_description || scriptData.longDescription) || null;
+    const features = normaliseFeatures(payload?.feature_bullets || scriptData.features);
+    const specifications = normaliseSpecifications(payload?.specifications || scriptData.specifications);
+
+    // Description container - fallback chain
+    // Priority: Long description > DOM Selectors > Meta > JSON-LD
+    const description = cleanText(
+        longDescription ||
+        $('div.OverviewTab-module-scss-module__NTeOuq__container').text() ||
+        $('[class*="OverviewTab"][class*="container"]').text() ||
+        $('#OverviewArea').text() ||
+        $('[data-qa*="overview"]').text() ||
+        metaDescription ||
+        ldDescription
+    ) || product.description;
+
+    // Brand - use exact user-provided selector with textContent child
+    const brand = cleanText(
+        scriptData.brand || // Script data priority
+        $('div.BrandStoreCtaV2-module-scss-module___vJ0Tq__brandAndVariantsButton [class*="textContent"]').text() ||
+        $('[class*="BrandStoreCtaV2"] [class*="textContent"]').first().text() ||
+        $('a.BrandStoreCtaV2-module-scss-module___vJ0Tq__brandStoreLink').first().text() ||
+        $('a[href*="/brand/"]').first().text() ||
+        $('[data-qa*="brand"]').first().text() ||
+        ldBrand
+    ) || product.brand;
+
+    // Rating - use exact user-provided selector with span child for text
+    const ratingElement = $('div.RatingPreviewStarV2-module-scss-module__0_8vQW__starsCtr span.RatingPreviewStarV2-module-scss-module__0_8vQW__text');
+    let rating = null;
+    if (ratingElement.length) {
+        const ratingText = ratingElement.text();
+        const ratingMatch = ratingText.match(/([1-5]\.?\d?)/);
+        if (ratingMatch) rating = parseFloat(ratingMatch[1]);
+    }
+    if (!rating && scriptData.rating) rating = scriptData.rating; // Script data fallback
+    if (!rating && ldRating) rating = ldRating;
+    if (!rating) {
+        // Fallback to searching in page text
+        const pageText = $('body').text();
+        const fallbackMatch = pageText.match(/\b([1-5]\.\d{1,2})\s*(?:out of 5|\/5|\s*stars?)?/i);
+        if (fallbackMatch) rating = parseFloat(fallbackMatch[1]);
+    }
+    rating = rating || product.rating;
+
+    // Reviews count - extract from "Based on X ratings" text
+    let reviewsCount = null;
+    const pageText = $('body').text();
+
+    // Try to find "Based on X ratings" pattern first (most reliable DOM pattern)
+    const basedOnMatch = pageText.match(/Based on ([\d,]+)\s*(?:ratings?|reviews?)/i);
+    if (basedOnMatch) {
+        reviewsCount = parseInt(basedOnMatch[1].replace(/,/g, ''), 10);
+    } else if (scriptData.reviews) {
+        reviewsCount = scriptData.reviews; // Script data fallback
+    } else {
+        // Fallback to other patterns
+        const reviewsElement = $('div.RatingPreviewStarV2-module-scss-module__0_8vQW__ratingsCountCtr');
+        if (reviewsElement.length) {
+            const reviewsText = reviewsElement.text();
+            // Skip if it's just "Brand Rating"
+            if (!reviewsText.includes('Brand Rating')) {
+                const reviewsMatch = reviewsText.match(/(\d+(?:,\d+)*(?:\.\d+)?K?)/i);
+                if (reviewsMatch) reviewsCount = parseCount(reviewsMatch[1]);
+            }
+        }
+    }
+    if (!reviewsCount && ldReviews) reviewsCount = ldReviews;
+    if (!reviewsCount) {
+        // Final fallback to regex on page text
+        const patterns = [
+            /(\d+(?:,\d+)*)\s*(?:ratings?|reviews?)/i,
+            /\((\d+(?:,\d+)*)\)/
+        ];
+        for (const pattern of patterns) {
+            const match = pageText.match(pattern);
+            if (match) {
+                reviewsCount = parseInt(match[1].replace(/,/g, ''), 10);
+                break;
+            }
+        }
+    }
+    reviewsCount = reviewsCount || product.reviewsCount;
+
+    // Identity and price fields - only needed when the product did not come from a listing card
+    const title = product.title || cleanText(
+        ldName ||
+        $('h1').first().text() ||
+        $('meta[property="og:title"]').attr('content')
+    );
+
+    // Sizes, colours and seller offers from the __NEXT_DATA__ product payload
+    const variants = extractVariants(payload, product);
+    const offers = extractOffers(payload, product);
+
+    // Gallery - payload image keys give full-resolution URLs, ld+json is the fallback
+    const media = extractMedia(payload);
+    const images = [media.images, ldImages, product.images || []].find(list => list.length) || [];
+    const image = product.image || images[0] || $('meta[property="og:image"]').attr('content') || null;
+    const currentPrice = product.currentPrice ?? (scriptData.salePrice || ldPrice || scriptData.price || null);
+    const originalPrice = product.originalPrice ??
+        (scriptData.salePrice && scriptData.price > scriptData.salePrice ? scriptData.price : null);
+    // A unit price shown on the listing card wins over the payload's
+    const shownUnitPrice = product.unitPriceSource === 'scraped'
+        ? { unitPrice: product.unitPrice, unitPriceUnit: product.unitPriceUnit }
+        : unitPriceFromHit(payload);
+
+    // Availability - listing values win, then the buy-box offer, the product payload and finally page text.
+    // Badge images on a product page also show up in recommendation carousels, so they are not read from HTML.
+    const { isExpress, isSupermall, isGlobal, ...pageAvailability } = extractAvailabilityFromHtml($, $('body'));
+    const availability = mergeAvailability(
+        product,
+        extractAvailability(rawOffers(payload, product)[0]),
+        extractAvailability(payload),
+        pageAvailability,
+    );
+
+    return withPriceFields({
+        ...product,
+        title: title || null,
+        image,
+        images,
+        videos: media.videos.length ? media.videos : (product.videos || []),
+        images360: media.images360.length ? media.images360 : (product.images360 || []),
+        currentPrice,
+        originalPrice,
+        currency: product.currency || ldCurrency,
+        description: description || product.description || null,
+        brand: brand || product.brand || null,
+        rating: rating ?? product.rating ?? null,
+        reviewsCount: reviewsCount ?? product.reviewsCount ?? null,
+        ...availability,
+        longDescription: longDescription || product.longDescription || null,
+        features: features.length ? features : (product.features || []),
+        specifications: specifications.length ? specifications : (product.specifications || []),
+        variants: variants.length ? variants : (product.variants || []),
+        offers: offers.length ? offers : (product.offers || []),
+    }, shownUnitPrice);
+}
+
+/**
+ * Empty product record for a product page opened directly (DETAIL route)
+ * Fields are filled in by parseProductDetails
+ */
+export function createDetailProduct(productUrl, sku = null) {
+    const locale = parseLocale(productUrl);
+    return {
+        title: null,
+        url: productUrl,
+        image: null,
+        images: [],
+        brand: null,
+        description: null,
+        currentPrice: null,
+        originalPrice: null,
+        discount: null,
+        rating: null,
+        reviewsCount: null,
+        ...mergeAvailability(),
+        sku: sku || extractSkuFromUrl(productUrl),
+        currency: locale.currency,
+        country: locale.country,
+        language: locale.language,
+        scrapedAt: new Date().toISOString(),
+    };
+}
+
+// ==========================================
+// REVIEWS
+// ==========================================
+
+/**
+ * Normalise one review from the reviews API
+ */
+export function extractReview(raw, product) {
+    if (!raw || typeof raw !== 'object') return null;
+    const text = cleanText(raw.comment || raw.review || raw.text || raw.body);
+    const title = cleanText(raw.title || raw.headline);
+    if (!text && !title && !raw.rating) return null;
+
+    return {
+        sku: product.sku,
+        productUrl: product.url,
+        reviewId: raw.id || raw.reviewId || raw.review_id || null,
+        author: cleanText(raw.displayName || raw.display_name || raw.author || raw.name) || null,
+        rating: parseFloat(raw.rating ?? raw.stars) || null,
+        date: raw.updatedAt || raw.createdAt || raw.created_at || raw.date || null,
+        title: title || null,
+        text: text || null,
+        isVerifiedPurchase: Boolean(raw.isVerifiedPurchase ?? raw.is_verified_purchase ?? raw.verified),
+        helpfulVotes: parseInt(raw.helpfulCount ?? raw.helpful_count ?? raw.helpfulVotes, 10) || 0,
+        language: raw.lang || raw.language || product.language || null,
+        country: product.country,
+        scrapedAt: new Date().toISOString(),
+    };
+}
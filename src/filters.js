@@ -0,0 +1,95 @@
+// Noon.com listing filters - typed inputs translated into listing URL / API query parameters
+// The same query string is forwarded to the listing API by fetchProductsViaAPI
+import { asList, cleanText } from './extractors.js';
+
+// Noon's sort parameters for each `sortBy` input value
+export const SORT_OPTIONS = {
+    popularity: { by: 'popularity', dir: 'desc' },
+    price_asc: { by: 'price', dir: 'asc' },
+    price_desc: { by: 'price', dir: 'desc' },
+    newest: { by: 'new_arrivals', dir: 'desc' },
+};
+
+// Brand facets use lowercase, hyphenated slugs ("Polo Ralph Lauren" -> "polo-ralph-lauren")
+export const brandSlug = (name) => cleanText(name)
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9\u0600-\u06ff]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Normalise filter inputs; returns null when no filter is set
+ */
+export function normalizeFilters(input = {}) {
+    const filters = {
+        minPrice: toNumber(input.minPrice),
+        maxPrice: toNumber(input.maxPrice),
+        brands: asList(input.brands)
+            .map(brandSlug)
+            .filter(Boolean),
+        minRating: toNumber(input.minRating),
+        sortBy: SORT_OPTIONS[input.sortBy] ? input.sortBy : null,
+        expressOnly: Boolean(input.expressOnly),
+        soldByNoon: Boolean(input.soldByNoon),
+    };
+
+    const isSet = filters.minPrice !== null || filters.maxPrice !== null || filters.brands.length > 0 ||
+        filters.minRating !== null || filters.sortBy || filters.expressOnly || filters.soldByNoon;
+    return isSet ? filters : null;
+}
+
+/**
+ * Add filter and sort parameters to a listing or search URL
+ * Parameters already present in the URL are replaced, everything else is kept
+ */
+export function applyListingFilters(href, filters) {
+    if (!filters) return href;
+
+    let url;
+    try {
+        url = new URL(href);
+    } catch {
+        return href;
+    }
+    const params = url.searchParams;
+
+    if (filters.minPrice !== null) params.set('f[price][min]', String(filters.minPrice));
+    if (filters.maxPrice !== null) params.set('f[price][max]', String(filters.maxPrice));
+    if (filters.brands.length) {
+        params.delete('f[brand][]');
+        for (const brand of filters.brands) params.append('f[brand][]', brand);
+    }
+    if (filters.minRating !== null) params.set('f[product_rating][min]', String(filters.minRating));
+    if (filters.expressOnly) params.set('f[is_fbn]', '1');
+    if (filters.soldByNoon) params.set('f[is_sold_by_noon]', '1');
+    if (filters.sortBy) {
+        params.set('sort[by]', SORT_OPTIONS[filters.sortBy].by);
+        params.set('sort[dir]', SORT_OPTIONS[filters.sortBy].dir);
+    }
+
+    return url.href;
+}
+
+/**
+ * Check a scraped product against the price and rating filters
+ * Guards against endpoints that ignore the query; unknown values are let through.
+ * Brands are not re-checked because listing cards often only have a guessed brand.
+ */
+export function matchesFilters(product, filters) {
+    if (!filters || !product) return true;
+
+    const price = product.currentPrice;
+    if (price !== null && price !== undefined) {
+        if (filters.minPrice !== null && price < filters.minPrice) return false;
+        if (filters.maxPrice !== null && price > filters.maxPrice) return false;
+    }
+    if (filters.minRating !== null && product.rating && product.rating < filters.minRating) return false;
+
+    return true;
+}
@@ -1,10 +1,46 @@
 // Noon.com product scraper - Production-grade implementation
-// Uses internal API (JSON) as primary source with HTML fallback
+// Listing pages go through extraction strategies (API, __NEXT_DATA__, DOM, JSON-LD), best-scoring first
 import { Actor, log } from 'apify';
 import { CheerioCrawler, Dataset } from 'crawlee';
 import { gotScraping } from 'got-scraping';
 import { HeaderGenerator } from 'header-generator';
-import { load as loadHtml } from 'cheerio';
+
+import { createBudget } from './budget.js';
+import { createChangeTracker } from './changes.js';
+import { compareUrl, nextCompareCountry, normalizeCompareCountries, normalizeFx, priceEntry, storefrontEntry } from './compare.js';
+import {
+    createRecordShaper,
+    EXPORT_FORMATS,
+    normalizeExportFormats,
+    toCsv,
+    toMerchantItem,
+    toMerchantXml,
+    toNdjson,
+} from './exports.js';
+import {
+    cleanText,
+    createDetailProduct,
+    extractCategoryName,
+    extractReview,
+    extractSubcategories,
+    isProductLink,
+    parseApiResponse,
+    parseLocale,
+    parseProductDetails,
+    rankListingProducts,
+    toAbs,
+    validateProduct,
+} from './extractors.js';
+import { applyListingFilters, matchesFilters, normalizeFilters } from './filters.js';
+import { createQualityMonitor, normalizeThresholds } from './quality.js';
+import { createSightingLog, productKey } from './sightings.js';
+import { createHttpSink, isWebhookUrl } from './sink.js';
+import {
+    createStrategyHealth,
+    extractDomProducts,
+    extractLdJsonProducts,
+    extractNextDataProducts,
+} from './strategies.js';
 
 // Single-entrypoint main
 await Actor.init();
@@ -30,58 +66,381 @@ async function main() {
             url,
             maxProducts = 100,
             maxPages = 10,
+            maxRunMinutes,
+            maxRequests,
+            maxProxyBandwidthMB,
             fetchDetails = true, // enable detail-page enrichment by default (limits below keep it light)
             detailSampleLimit = null, // if null/undefined we enrich as many as possible (bounded below)
+            detailConcurrency = 3,
+            compareCountries = [],
+            compareCurrency,
+            fxRates = {},
+            skus = [],
+            searchQueries = [],
+            crawlCategoryTree = false,
+            maxCategoryDepth = 3,
+            minPrice,
+            maxPrice,
+            brands,
+            minRating,
+            sortBy,
+            expressOnly = false,
+            soldByNoon = false,
+            forceStrategies = [],
+            disableStrategies = [],
+            qualityThresholds = {},
+            failOnLowQuality = false,
+            outputFields = [],
+            renameFields = {},
+            flattenOutput = false,
+            exportFormats = [],
+            webhookUrl,
+            webhookHeaders = {},
+            webhookSecret,
+            webhookMaxRetries = 5,
+            webhookDeadLetterStoreName = 'noon-webhook-dead-letters',
+            storefront = 'uae-en', // locale prefix used to build product and search URLs for SKUs/queries
+            scrapeReviews = false,
+            maxReviewsPerProduct = 20,
+            reviewsDatasetName = 'noon-reviews',
+            downloadImages = false,
+            imagesStoreName = 'noon-product-images',
+            trackChanges = false,
+            changeStateStoreName = 'noon-price-tracker',
+            changesDatasetName = 'noon-price-changes',
             proxyConfiguration,
         } = input;
 
-        const MAX_PRODUCTS = Number.isFinite(+maxProducts) ? Math.max(1, +maxProducts) : 100;
+        // 0 (or any value below 1) means no product limit
+        const productLimit = Number.isFinite(+maxProducts) ? +maxProducts : 100;
+        const MAX_PRODUCTS = productLimit >= 1 ? productLimit : Infinity;
+        const PRODUCT_LIMIT_LABEL = Number.isFinite(MAX_PRODUCTS) ? MAX_PRODUCTS : 'unlimited';
         const MAX_PAGES = Number.isFinite(+maxPages) ? Math.max(1, +maxPages) : 10;
-        const DETAIL_LIMIT = Number.isFinite(+detailSampleLimit)
+        // +null is 0, so an unset limit has to be checked before the number conversion
+        const DETAIL_LIMIT = detailSampleLimit !== null && Number.isFinite(+detailSampleLimit)
             ? Math.max(0, Math.min(+detailSampleLimit, MAX_PRODUCTS))
             : MAX_PRODUCTS;
 
-        log.info(`Starting scraper: maxProducts=${MAX_PRODUCTS}, maxPages=${MAX_PAGES}`);
+        const DETAIL_CONCURRENCY = Number.isFinite(+detailConcurrency) ? Math.max(1, +detailConcurrency) : 3;
 
-        const toAbs = (href, base = 'https://www.noon.com') => {
-            try { return new URL(href, base).href; } catch { return null; }
-        };
+        const compareList = normalizeCompareCountries(compareCountries);
+        const fx = normalizeFx(compareCurrency, fxRates);
+        if (compareList.length) {
+            log.info(`Comparing prices across: ${compareList.join(', ')}${fx ? ` (converted to ${fx.target})` : ''}`);
+        }
 
-        const cleanText = (text) => {
-            if (!text) return '';
-            return String(text).replace(/\s+/g, ' ').trim();
-        };
+        const MAX_CATEGORY_DEPTH = Number.isFinite(+maxCategoryDepth) ? Math.max(0, +maxCategoryDepth) : 3;
+        const MAX_REVIEWS = Number.isFinite(+maxReviewsPerProduct) ? Math.max(1, +maxReviewsPerProduct) : 20;
 
-        const cleanPrice = (priceText) => {
-            if (!priceText) return null;
-            const match = String(priceText).match(/[\d,]+(\.\d+)?/);
-            return match ? parseFloat(match[0].replace(/,/g, '')) : null;
-        };
+        // Checked up front, a bad webhook URL would otherwise only surface once the first batch is sent
+        if (webhookUrl && !isWebhookUrl(webhookUrl)) {
+            await Actor.fail(`Invalid webhookUrl "${webhookUrl}": use an absolute http:// or https:// URL`);
+            return;
+        }
+
+        log.info(`Starting scraper: maxProducts=${PRODUCT_LIMIT_LABEL}, maxPages=${MAX_PAGES}`);
 
+        // Start URLs are plain strings or { url, label, maxProducts, maxPages } objects
         const initial = [];
         if (Array.isArray(startUrls) && startUrls.length) {
-            initial.push(...startUrls.map(u => typeof u === 'string' ? u : u.url));
+            initial.push(...startUrls.map(u => typeof u === 'string' ? { url: u } : u).filter(u => u?.url));
+        }
+        if (startUrl) initial.push({ url: startUrl });
+        if (url) initial.push({ url });
+        const skuList = (Array.isArray(skus) ? skus : [])
+            .map(s => cleanText(s))
+            .filter(Boolean);
+        const queryList = (Array.isArray(searchQueries) ? searchQueries : [searchQueries])
+            .map(q => cleanText(q))
+            .filter(Boolean);
+        const storefrontLocale = parseLocale(`/${storefront}/`).locale;
+
+        const listingFilters = normalizeFilters({ minPrice, maxPrice, brands, minRating, sortBy, expressOnly, soldByNoon });
+        if (listingFilters) {
+            log.info(`Listing filters: ${JSON.stringify(listingFilters)}`);
         }
-        if (startUrl) initial.push(startUrl);
-        if (url) initial.push(url);
-        if (!initial.length) {
-            initial.push('https://www.noon.com/uae-en/fashion/men-31225/crazy-price-drops-ae-FA_03/');
+
+        const buildSearchUrl = (query) => {
+            const searchUrl = new URL(`https://www.noon.com/${storefrontLocale}/search/`);
+            searchUrl.searchParams.set('q', query);
+            return applyListingFilters(searchUrl.href, listingFilters);
+        };
+
+        if (!initial.length && !skuList.length && !queryList.length) {
+            initial.push({ url: 'https://www.noon.com/uae-en/fashion/men-31225/crazy-price-drops-ae-FA_03/' });
         }
 
         const proxyConf = proxyConfiguration ? await Actor.createProxyConfiguration({ ...proxyConfiguration }) : undefined;
 
-        let saved = 0;
-        let pageCount = 0;
-        const errors = [];
-        const pushBuffer = [];
+        // ==========================================
+        // CHANGE TRACKING (OPTIONAL)
+        // ==========================================
+
+        // Per-SKU snapshot kept between runs; keyed by country so storefronts don't overwrite each other
+        const CHANGE_STATE_KEY = 'PRODUCT_STATE';
+        const changeStore = trackChanges ? await Actor.openKeyValueStore(changeStateStoreName) : null;
+        const changesDataset = trackChanges ? await Actor.openDataset(changesDatasetName) : null;
+        const changeTracker = createChangeTracker(changeStore ? (await changeStore.getValue(CHANGE_STATE_KEY)) || {} : {});
+        let changeCount = 0;
+
+        if (trackChanges) {
+            log.info(`Change tracking enabled: ${changeTracker.size} known products in "${changeStateStoreName}"`);
+        }
+
+        async function recordChanges(batch) {
+            const events = changeTracker.check(batch);
+            if (events.length) {
+                await changesDataset.pushData(events);
+                changeCount += events.length;
+            }
+        }
+
+        // ==========================================
+        // SKU DEDUPLICATION
+        // ==========================================
+
+        // Sightings per product, persisted so a resumed or migrated run skips what it already saved.
+        // A record only carries the sightings made until it is written; FOUND_IN has all of them.
+        const FOUND_IN_KEY = 'FOUND_IN';
+        const sightingLog = createSightingLog(await Actor.getValue(FOUND_IN_KEY));
+        let duplicateCount = 0;
+
+        if (sightingLog.size > 0) {
+            log.info(`Restored ${sightingLog.size} already saved products, they will not be saved again`);
+        }
+
+        /**
+         * Record where a product was seen; returns false when it has already been saved
+         */
+        function registerSighting(product, sighting) {
+            if (!sightingLog.register(product, sighting)) {
+                duplicateCount += 1;
+                return false;
+            }
+            product.foundIn = sightingLog.of(product);
+            return true;
+        }
+
+        // ==========================================
+        // OUTPUT SHAPING AND FILE EXPORTS
+        // ==========================================
+
+        // Dataset records keep the full product shape unless fields are selected, renamed or flattened
+        const recordShaper = createRecordShaper({ outputFields, renameFields, flatten: flattenOutput });
+        const exportFormatList = normalizeExportFormats(exportFormats);
+        if (recordShaper.fields.length) {
+            log.info(`Output fields: ${recordShaper.fields.join(', ')}`);
+        }
+
+        /**
+         * Build the requested export files from everything in the default dataset
+         * Reading the dataset back (instead of keeping products in memory) also covers records saved before a migration.
+         * Returns the key-value store key of each written file.
+         */
+        async function writeExports() {
+            const dataset = await Dataset.open();
+            const records = [];
+            for (let offset = 0; ; offset += 1000) {
+                const { items } = await dataset.getData({ offset, limit: 1000 });
+                records.push(...items);
+                if (items.length < 1000) break;
+            }
+
+            const written = {};
+            for (const format of exportFormatList) {
+                const { key, contentType } = EXPORT_FORMATS[format];
+                let content;
+                if (format === 'csv') {
+                    content = toCsv(records);
+                } else if (format === 'ndjson') {
+                    content = toNdjson(records);
+                } else {
+                    // Feed attributes are read through the shaper, so renamed or flattened fields are still found
+                    const items = records.map(record => toMerchantItem(path => recordShaper.valueOf(record, path)));
+                    const skipped = items.filter(item => !item).length;
+                    if (skipped) log.warning(`📦 ${skipped} records left out of the merchant feed (no sku, title, url or price)`);
+                    content = toMerchantXml(items, { link: `https://www.noon.com/${storefrontLocale}/` });
+                }
+                await Actor.setValue(key, content, { contentType });
+                written[format] = key;
+                log.info(`📦 Exported ${records.length} records as ${format} to ${key}`);
+            }
+            return written;
+        }
+
+        // ==========================================
+        // RUN STATE (SURVIVES MIGRATIONS AND RESTARTS)
+        // ==========================================
+
+        // Counters and not-yet-written products are saved on persistState/migrating and restored here,
+        // so maxProducts/maxPages keep counting from where the previous container stopped
+        const RUN_STATE_KEY = 'RUN_STATE';
+        const runState = (await Actor.getValue(RUN_STATE_KEY)) || {};
+        const startedAt = runState.startedAt || new Date().toISOString();
+
+        let saved = runState.saved || 0;
+        let pageCount = runState.pageCount || 0;
+        const errors = runState.errors || [];
+        const pushBuffer = runState.pushBuffer || [];
         const BATCH_SIZE = 50;
         let flushPromise = Promise.resolve();
+        duplicateCount = runState.duplicateCount || 0;
+        changeCount = runState.changeCount || 0;
+
+        // Time, request and traffic budgets; minutes count from the run's first start, not this container's
+        const budget = createBudget({
+            maxRunMinutes,
+            maxRequests,
+            maxProxyBandwidthMB,
+            startedAt,
+            restored: runState.budget,
+        });
+        let stopReason = null;
+        const activeBudgets = Object.entries(budget.limits).filter(([, limit]) => limit !== null);
+        if (activeBudgets.length) {
+            log.info(`Budgets: ${activeBudgets.map(([name, limit]) => `${name}=${limit}`).join(', ')}`);
+        }
+
+        /**
+         * True once any budget is used up; the first call that notices it logs which one
+         * Handlers stop their crawler when this returns true, so in-flight requests still finish.
+         */
+        function budgetExhausted() {
+            if (stopReason) return true;
+            const exceeded = budget.exceeded();
+            if (!exceeded) return false;
+
+            stopReason = exceeded;
+            const usage = budget.usage();
+            log.warning(`⏱️ Budget ${exceeded} used up (${usage.runMinutes} min, ${usage.requests} requests, `
+                + `${usage.bandwidthMB} MB), stopping the crawl`);
+            return true;
+        }
+
+        // Every flushed batch is also queued for the webhook, so a pipeline can consume products mid-crawl.
+        // Delivery runs in the background; batches still waiting are kept in RUN_STATE.
+        const httpSink = webhookUrl ? createHttpSink({
+            url: webhookUrl,
+            headers: webhookHeaders || {},
+            secret: webhookSecret || null,
+            maxRetries: Number.isFinite(+webhookMaxRetries) ? Math.max(0, +webhookMaxRetries) : 5,
+            runId: Actor.getEnv().actorRunId || 'local',
+            deadLetterStore: await Actor.openKeyValueStore(webhookDeadLetterStoreName),
+            restored: runState.webhook,
+        }) : null;
+        if (httpSink) {
+            log.info(`Webhook enabled: batches are POSTed to ${new URL(webhookUrl).origin}${webhookSecret ? ' (signed)' : ''}`);
+        }
+
+        // Per-source counters - each start URL, search query and the SKU list is its own source
+        const toLimit = (value) => (Number.isFinite(+value) && +value > 0 ? Math.floor(+value) : null);
+        const sourceStats = {};
+        const sourceStatsFor = (id, label = id, sourceUrl = null, limits = {}) => {
+            sourceStats[id] ??= {
+                id,
+                label,
+                url: sourceUrl,
+                maxProducts: toLimit(limits.maxProducts),
+                maxPages: toLimit(limits.maxPages),
+                pages: 0,
+                products: 0,
+                apiHits: 0,
+                htmlHits: 0,
+                errors: 0,
+                ...runState.sources?.[id],
+            };
+            return sourceStats[id];
+        };
+        initial.forEach((start, idx) => sourceStatsFor(`start-${idx}`, start.label || start.url, start.url, start));
+        queryList.forEach(query => sourceStatsFor(`search-${query}`, `search: ${query}`, buildSearchUrl(query)));
+        if (skuList.length) sourceStatsFor('skus', 'SKU list');
+
+        // Listing extraction strategies, scored during the run (and across resumes) so the best one goes first
+        const strategyHealth = createStrategyHealth({
+            force: forceStrategies,
+            disable: disableStrategies,
+            restored: runState.strategies,
+        });
+        log.info(`Extraction strategies: ${strategyHealth.order().join(' > ')}${strategyHealth.forced ? ' (forced)' : ''}`);
+
+        /**
+         * Products a source may still save - the smaller of its own budget and the global one
+         */
+        const remainingFor = (stats) => {
+            const globalLeft = MAX_PRODUCTS - saved;
+            return stats.maxProducts ? Math.min(globalLeft, stats.maxProducts - stats.products) : globalLeft;
+        };
+
+        if (runState.persistedAt) {
+            log.info(`Resuming run state from ${runState.persistedAt}: saved=${saved}, pages=${pageCount}, buffered=${pushBuffer.length}`);
+            // Reconnect restored records to their sightings so repeat sightings still reach them
+            for (const product of pushBuffer) {
+                const sightings = sightingLog.of(product);
+                if (sightings) product.foundIn = sightings;
+            }
+        }
+
+        // Per-field fill rates, so selector drift shows up as a failing field instead of silent nulls
+        const qualityMonitor = createQualityMonitor({
+            thresholds: normalizeThresholds(qualityThresholds),
+            restored: runState.quality,
+        });
+        const qualitySamples = { ...runState.qualitySamples };
+
+        /**
+         * Count filled fields and keep the page HTML the first time a monitored field comes back empty
+         * `$` is null for products saved without a page (failed enrichment); they are counted but not sampled.
+         */
+        async function recordQuality(products, $, pageUrl) {
+            for (const product of products) {
+                const missing = qualityMonitor.record(product).filter(field => !qualitySamples[field]);
+                if (!missing.length || !$) continue;
+
+                const key = `QUALITY_SAMPLE_${missing[0]}`;
+                for (const field of missing) qualitySamples[field] = key;
+                const header = `<!-- ${pageUrl} | sku ${product.sku || 'unknown'} | missing: ${missing.join(', ')} -->\n`;
+                await Actor.setValue(key, header + $.html(), { contentType: 'text/html; charset=utf-8' });
+                log.warning(`🩺 ${missing.join(', ')} empty for ${product.sku || product.url}, page saved as ${key}`);
+            }
+        }
+
+        const persistState = async () => {
+            await Actor.setValue(RUN_STATE_KEY, {
+                saved,
+                pageCount,
+                errors,
+                pushBuffer,
+                duplicateCount,
+                changeCount,
+                sources: sourceStats,
+                strategies: strategyHealth.snapshot(),
+                quality: qualityMonitor.state(),
+                qualitySamples,
+                budget: budget.state(),
+                webhook: httpSink?.state(),
+                startedAt,
+                persistedAt: new Date().toISOString(),
+            });
+            await Actor.setValue(FOUND_IN_KEY, sightingLog.state());
+            if (changeStore) await changeStore.setValue(CHANGE_STATE_KEY, changeTracker.state());
+        };
+        // Event listeners have nobody to report to, so a failed save is logged and the next event tries again
+        const persistStateInBackground = () => persistState()
+            .catch(err => log.warning(`Could not persist run state: ${err.message}`));
+        Actor.on('persistState', persistStateInBackground);
+        Actor.on('migrating', persistStateInBackground);
 
         const flushBuffer = (force = false) => {
             flushPromise = flushPromise.then(async () => {
                 if (pushBuffer.length >= BATCH_SIZE || (force && pushBuffer.length > 0)) {
-                    const batch = pushBuffer.splice(0, pushBuffer.length);
-                    await Dataset.pushData(batch);
+                    const batch = pushBuffer.slice();
+                    const records = batch.map(recordShaper.shape);
+                    await Dataset.pushData(records);
+                    // Drop the batch only once it is written, so a migration mid-write keeps it in RUN_STATE;
+                    // the webhook queue takes it over in the same step, so RUN_STATE always holds it in one of the two
+                    pushBuffer.splice(0, batch.length);
+                    if (httpSink) httpSink.enqueue(records);
+                    if (trackChanges) await recordChanges(batch);
                 }
             });
             return flushPromise;
@@ -91,42 +450,6 @@ async function main() {
         // API-BASED SCRAPING (PRIMARY METHOD)
         // ==========================================
 
-        /**
-         * Extract product data from API response
-         * Noon.com uses GraphQL/REST API for product listings
-         */
-        function extractProductFromAPI(product) {
-            try {
-                // Validate required fields
-                if (!product || !product.sku) {
-                    return null;
-                }
-
-                const sku = product.sku || product.product_code || product.id;
-                const url = product.url || product.product_url ||
-                    (sku ? `https://www.noon.com/uae-en/p/${sku}` : null);
-
-                return {
-                    title: cleanText(product.name || product.title || product.product_name),
-                    url: url ? toAbs(url) : null,
-                    image: product.image_url || product.image || product.thumbnail || null,
-                    brand: cleanText(product.brand || product.brand_name) || null,
-                    description: cleanText(product.description || product.overview || product.summary) || null,
-                    currentPrice: cleanPrice(product.sale_price || product.price || product.offer_price),
-                    originalPrice: cleanPrice(product.was_price || product.list_price || product.original_price),
-                    discount: product.discount_percentage || product.discount || null,
-                    rating: product.rating || product.average_rating || null,
-                    reviewsCount: product.reviews_count || product.rating_count || null,
-                    sku: sku,
-                    currency: product.currency || 'AED',
-                    scrapedAt: new Date().toISOString(),
-                };
-            } catch (err) {
-                log.error(`Error extracting API product: ${err.message}`);
-                return null;
-            }
-        }
-
         /**
          * Try to fetch products via API (primary method)
          * Noon.com loads products via AJAX/API calls
@@ -141,13 +464,14 @@ async function main() {
 
                 // Extract catalog/category info from URL
                 // Example: /uae-en/fashion/men-31225/crazy-price-drops-ae-FA_03/
-                const lang = pathParts[0] || 'uae-en';
+                const locale = parseLocale(catalogUrl);
+                const lang = locale.locale;
                 const category = pathParts[pathParts.length - 2] || '';
 
                 // Generate realistic headers
                 const headers = headerGenerator.getHeaders({
                     httpVersion: '2',
-                    locales: ['en-US', 'en-AE'],
+                    locales: locale.headerLocales,
                     operatingSystems: ['windows'],
                     browsers: ['chrome']
                 });
@@ -173,7 +497,7 @@ async function main() {
                             headers: {
                                 ...headers,
                                 'accept': 'application/json, text/plain, */*',
-                                'accept-language': 'en-US,en;q=0.9',
+                                'accept-language': locale.acceptLanguage,
                                 'referer': catalogUrl,
                                 'origin': 'https://www.noon.com',
                                 'x-requested-with': 'XMLHttpRequest',
@@ -186,6 +510,7 @@ async function main() {
                             throwHttpErrors: false,
                             proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
                         });
+                        budget.countRequest(response.rawBody?.length);
 
                         if (response.statusCode && response.statusCode >= 400) {
                             log.debug(`[API] Endpoint ${apiUrl} returned ${response.statusCode}`);
@@ -195,44 +520,10 @@ async function main() {
                         if (response.body && typeof response.body === 'object') {
                             log.info(`[API] Success! Got response from: ${apiUrl}`);
 
-                            // Try to extract products from various response structures
-                            let products = [];
-                            const data = response.body;
-
-                            // Common API response structures
-                            if (data.products && Array.isArray(data.products)) {
-                                products = data.products;
-                            } else if (data.data && Array.isArray(data.data.products)) {
-                                products = data.data.products;
-                            } else if (data.hits && Array.isArray(data.hits)) {
-                                products = data.hits;
-                            } else if (data.results && Array.isArray(data.results)) {
-                                products = data.results;
-                            } else if (Array.isArray(data)) {
-                                products = data;
-                            }
-
-                            if (products.length > 0) {
-                                log.info(`[API] Extracted ${products.length} products from API`);
-
-                                // Extract pagination info
-                                const pagination = {
-                                    hasNext: false,
-                                    totalPages: data.total_pages || data.totalPages || MAX_PAGES,
-                                    currentPage: page,
-                                };
-
-                                if (data.pagination) {
-                                    pagination.hasNext = data.pagination.has_next || page < pagination.totalPages;
-                                } else if (data.next || data.nextPage) {
-                                    pagination.hasNext = true;
-                                }
-
-                                return {
-                                    success: true,
-                                    products: products.map(p => extractProductFromAPI(p)).filter(Boolean),
-                                    pagination,
-                                };
+                            const parsed = parseApiResponse(response.body, page, locale, MAX_PAGES);
+                            if (parsed) {
+                                log.info(`[API] Extracted ${parsed.products.length} products from API`);
+                                return { success: true, ...parsed };
                             }
                         }
                     } catch (apiErr) {
@@ -241,7 +532,7 @@ async function main() {
                     }
                 }
 
-                log.warning('[API] All API endpoints failed, will try HTML parsing');
+                log.warning('[API] All API endpoints failed, will try the next strategy');
                 return { success: false, products: [], pagination: {} };
 
             } catch (err) {
@@ -251,642 +542,503 @@ async function main() {
         }
 
         // ==========================================
-        // HTML PARSING (FALLBACK METHOD)
+        // EXTRACTION STRATEGIES
         // ==========================================
 
-        function extractProductData($, productElement, baseUrl, productMap = {}) {
-            try {
-                const $product = $(productElement);
+        // Each strategy returns { products, pagination? } for one listing page
+        const listingStrategies = {
+            api: async ({ request, currentPage }) => {
+                const apiResult = await fetchProductsViaAPI(request.url, currentPage);
+                return apiResult.success ? apiResult : null;
+            },
+            nextData: ({ $, request }) => ({ products: extractNextDataProducts($, request.url) }),
+            dom: ({ $, request }) => ({ products: extractDomProducts($, request.url) }),
+            ldJson: ({ $, request }) => ({ products: extractLdJsonProducts($, request.url) }),
+        };
 
-                // Product URL - use the main product link
-                const productLink = $product.find('a[href*="/p/"]').first();
-                const productUrl = productLink.attr('href');
-                const fullUrl = productUrl ? toAbs(productUrl, baseUrl) : null;
+        /**
+         * Run the listing strategies best-first until one returns products
+         */
+        async function extractListing(context, crawlerLog) {
+            for (const name of strategyHealth.order()) {
+                let result = null;
+                try {
+                    result = await listingStrategies[name](context);
+                } catch (err) {
+                    crawlerLog.debug(`[${name}] Strategy failed: ${err.message}`);
+                }
 
-                if (!fullUrl) return null;
+                const count = result?.products?.length || 0;
+                strategyHealth.record(name, count);
+                if (count > 0) {
+                    crawlerLog.info(`✅ [${name}] Extracted ${count} products`);
+                    return { strategy: name, products: result.products, pagination: result.pagination || null };
+                }
+                crawlerLog.info(`⚠️ [${name}] No products, trying the next strategy`);
+            }
+            return { strategy: null, products: [], pagination: null };
+        }
 
-                // Product SKU/ID from URL - improved regex
-                const skuMatch = fullUrl ? fullUrl.match(/\/([A-Z0-9]+)(?:\/p\/|\?|$)/i) : null;
-                const sku = skuMatch ? skuMatch[1] : null;
+        // ==========================================
+        // DETAIL QUEUE (ENRICHMENT AND COUNTRY COMPARISON)
+        // ==========================================
 
-                // --- TRY JSON LOOKUP FIRST ---
-                let jsonProduct = null;
-                if (sku && productMap[sku]) {
-                    jsonProduct = productMap[sku];
-                }
+        // Listing products that need their detail page, products being compared across countries, gallery
+        // images and review pages wait in a queue of their own, worked off by a second crawler with its own
+        // concurrency. The queue is named after the run so a migrated run picks it up again; a fresh start
+        // drops whatever an earlier run with the same name (every local run, or one that crashed) left behind,
+        // and the end of the run drops it too.
+        // Country comparison and image downloads go through the detail queue before a product is saved
+        const queuedSteps = [compareList.length && 'country comparison', downloadImages && 'image downloads'].filter(Boolean);
+        const detailQueueName = `noon-details-${Actor.getEnv().actorRunId || 'local'}`;
+        let detailQueue = null;
+        if (fetchDetails || compareList.length || downloadImages || scrapeReviews) {
+            detailQueue = await Actor.openRequestQueue(detailQueueName);
+            if (!runState.persistedAt) {
+                await detailQueue.drop();
+                detailQueue = await Actor.openRequestQueue(detailQueueName);
+            }
+        }
 
-                // Product Title - use data-qa selector (Noon uses plp-product-box-name)
-                const title = cleanText(
-                    jsonProduct?.name ||
-                    jsonProduct?.title ||
-                    $product.find('[data-qa="plp-product-box-name"]').text() ||
-                    $product.find('h2').first().text() ||
-                    $product.find('[class*="productTitle"]').text() ||
-                    productLink.attr('title')
-                );
-
-                if (!title) return null;
-
-                // Product Image - use data-qa selector
-                const imageElement = $product.find('[data-qa^="productImagePLP"] img, img[src*="nooncdn"], img').first();
-                const image = jsonProduct?.image_key ? `https://f.nooncdn.com/products/${jsonProduct.image_key}.jpg` : (
-                    imageElement.attr('src') ||
-                    imageElement.attr('data-src') ||
-                    imageElement.attr('srcset')?.split(' ')[0] || null
-                );
-
-                // Price information - use data-qa selector
-                const priceContainer = $product.find('[data-qa="plp-product-box-price"]');
-
-                // Current price
-                const currentPriceText = priceContainer.find('strong').first().text() ||
-                    priceContainer.find('[class*="sellingPrice"], [class*="current"]').first().text() ||
-                    priceContainer.text();
-
-                // Original price
-                const originalPriceText = priceContainer.find('[class*="oldPrice"], [class*="wasPrice"], [class*="was"], span[style*="line-through"]').first().text() ||
-                    priceContainer.find('span').filter((_, el) => {
-                        const text = $(el).text();
-                        const price = cleanPrice(text);
-                        return price && price > cleanPrice(currentPriceText);
-                    }).first().text();
-
-                const discountText = $product.find('[class*="discount"], [data-qa*="discount"], [class*="OFF"]').first().text();
-
-                const currentPrice = jsonProduct?.uom_price || jsonProduct?.sale_price || cleanPrice(currentPriceText);
-                const originalPrice = jsonProduct?.price || jsonProduct?.original_price || cleanPrice(originalPriceText);
-                const discount = discountText ? cleanText(discountText) : null;
-
-                // --- RATING & REVIEWS ---
-                let rating = jsonProduct?.brand_rating?.value || jsonProduct?.rating || null;
-                let reviewsCount = jsonProduct?.rating_count || jsonProduct?.reviews_count || null;
-
-                // DOM Fallback for Rating
-                if (!rating) {
-                    const ratingText = $product.find('[class*="RatingPreviewStar"] [class*="textCtr"]').text() ||
-                        $product.find('[class*="RatingPreviewStar"] span').first().text();
-                    const ratingMatch = ratingText ? ratingText.match(/([1-5]\.?\d?)/) : null;
-                    if (ratingMatch) {
-                        rating = parseFloat(ratingMatch[1]);
-                    } else {
-                        // Regex search in full text
-                        const productBoxText = $product.text();
-                        const patterns = [/\b([1-5]\.\d{1,2})\b/, /([1-5])\s*(?:stars?|out of 5)/i];
-                        for (const pattern of patterns) {
-                            const match = productBoxText.match(pattern);
-                            if (match) {
-                                rating = parseFloat(match[1]);
-                                break;
-                            }
-                        }
-                    }
-                }
+        // ==========================================
+        // IMAGE DOWNLOADS (OPTIONAL)
+        // ==========================================
 
-                // DOM Fallback for Reviews
-                if (!reviewsCount) {
-                    // Try sibling of rating star container (common pattern on listing page)
-                    const reviewsSpan = $product.find('[class*="RatingPreviewStar"] + div span').text();
-                    if (reviewsSpan) {
-                        const match = reviewsSpan.match(/(\d+(?:,\d+)*(?:\.\d+)?K?)/i);
-                        if (match) {
-                            const str = match[1];
-                            reviewsCount = str.toUpperCase().includes('K') ?
-                                Math.round(parseFloat(str.replace(/K/i, '')) * 1000) :
-                                parseInt(str.replace(/,/g, ''));
-                        }
-                    }
+        const imagesStore = downloadImages ? await Actor.openKeyValueStore(imagesStoreName) : null;
+        let imagesStoredCount = 0;
 
-                    if (!reviewsCount) {
-                        // Full text regex fallback
-                        const productBoxText = $product.text();
-                        const patterns = [
-                            /\((\d+(?:,\d+)*(?:\.\d+)?K?)\)/,
-                            /(\d+(?:,\d+)*)\s*(?:ratings?|reviews?)/i
-                        ];
-                        for (const pattern of patterns) {
-                            const match = productBoxText.match(pattern);
-                            if (match) {
-                                const str = match[1];
-                                reviewsCount = str.toUpperCase().includes('K') ?
-                                    Math.round(parseFloat(str.replace(/K/i, '')) * 1000) :
-                                    parseInt(str.replace(/,/g, ''));
-                                break;
-                            }
-                        }
-                    }
-                }
+        // Images are fetched by the detail crawler, so these replace its page headers
+        const IMAGE_HEADERS = {
+            'accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+            'sec-fetch-dest': 'image',
+            'sec-fetch-mode': 'no-cors',
+            'sec-fetch-site': 'cross-site',
+        };
 
-                // --- BRAND ---
-                let brand = cleanText(
-                    jsonProduct?.brand ||
-                    jsonProduct?.brand_name ||
-                    $product.find('[data-qa*="brand"], a[href*="/brand/"]').first().text()
-                );
-
-                // Listing page fallback: First word of title if not found (very common on Noon listing cards)
-                if (!brand && title) {
-                    const titleParts = title.split(' ');
-                    if (titleParts.length > 0) {
-                        // Simple heuristic: Take first word if capitalized
-                        if (/^[A-Z0-9]/.test(titleParts[0])) {
-                            brand = titleParts[0];
-                        }
-                    }
-                }
+        const imageSources = (product) => (product.images?.length ? product.images : [product.image].filter(Boolean));
 
-                return {
-                    title: title,
-                    url: fullUrl,
-                    image: image,
-                    brand: brand || null,
-                    description: null, // filled via detail page enrichment if available
-                    currentPrice: currentPrice,
-                    originalPrice: originalPrice,
-                    discount: discount,
-                    rating: rating,
-                    reviewsCount: reviewsCount,
-                    sku: sku,
-                    currency: 'AED',
-                    scrapedAt: new Date().toISOString(),
-                };
-            } catch (err) {
-                log.error(`Error extracting HTML product: ${err.message}`);
-                return null;
+        // "AE-N53432432A-1.jpg" - stable per product and gallery position, so a later run reuses stored copies
+        const imageKey = (product, idx, sourceUrl) => {
+            const ext = (sourceUrl.match(/\.(jpe?g|png|webp|gif)(?:\?|$)/i)?.[1] || 'jpg').toLowerCase();
+            return `${product.country || 'AE'}-${product.sku || 'unknown'}-${idx + 1}.${ext}`
+                .replace(/[^a-zA-Z0-9!\-_.'()]/g, '_');
+        };
+
+        /**
+         * Queue the product's next gallery image (from `index` on) that is not in the images store yet
+         * Copies stored earlier go straight into `storedImages` ({ key, url, sourceUrl }). Returns false when
+         * there is nothing left to download, so the product can be saved.
+         */
+        async function queueNextImage(product, source, index = 0) {
+            const sources = imageSources(product);
+            product.storedImages ??= [];
+
+            for (let idx = index; idx < sources.length; idx++) {
+                // Images are the largest downloads, so they are the first thing a used-up budget skips
+                if (budgetExhausted()) return false;
+                const key = imageKey(product, idx, sources[idx]);
+                if (await imagesStore.recordExists(key)) {
+                    product.storedImages.push({ key, url: imagesStore.getPublicUrl(key), sourceUrl: sources[idx] });
+                    continue;
+                }
+                await detailQueue.addRequest({
+                    url: sources[idx],
+                    uniqueKey: `image-${key}`,
+                    headers: IMAGE_HEADERS,
+                    userData: { label: 'IMAGE', product, source, index: idx, key },
+                });
+                return true;
             }
+            return false;
         }
 
         /**
-         * Validate product data before saving
+         * Save a product that went through the detail queue, whether its pages loaded or not
+         * Its budget was already reserved when it was queued.
          */
-        function validateProduct(product) {
-            if (!product) return false;
-
-            // Required fields
-            if (!product.title || !product.url) {
-                log.warning(`⚠️ Invalid product: missing required fields (title or url)`);
-                return false;
-            }
+        async function saveEnrichedProduct(product, $, pageUrl, source) {
+            // Sightings recorded while the product waited in the queue
+            const sightings = sightingLog.of(product);
+            if (sightings) product.foundIn = sightings;
 
-            // Title validation
-            if (product.title.length < 5 || product.title.length > 500) {
-                log.warning(`⚠️ Invalid product: title length out of range`);
-                return false;
-            }
+            pushBuffer.push(product);
+            await flushBuffer();
+            log.info(`💾 Saved queued product ${product.sku || product.url} (Total: ${saved}/${PRODUCT_LIMIT_LABEL})`);
+            await recordQuality([product], $, pageUrl);
 
-            return true;
+            if (scrapeReviews) await queueReviews([product], source);
         }
 
         /**
-         * Enrich product by fetching its detail page for missing fields
-         * Targets: description, brand, rating, reviewsCount
+         * Queue the product's page on the next storefront still missing from its `prices` map, then its
+         * images, or save it once nothing is left
+         * The product travels in the request, one country or image after another, so a migration doesn't lose it.
          */
-        async function enrichProductWithDetails(product) {
-            if (!product?.url) return product;
-
-            const needsDetail = !product.description || !product.brand || !product.rating || !product.reviewsCount;
-            if (!needsDetail) return product;
-
-            try {
-                const headers = headerGenerator.getHeaders({ httpVersion: '2', locales: ['en-US', 'en-AE'] });
-                const resp = await gotScraping({
-                    url: product.url,
-                    method: 'GET',
-                    headers: {
-                        ...headers,
-                        'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-                        'accept-language': 'en-US,en;q=0.9',
-                        'upgrade-insecure-requests': '1',
-                        'sec-fetch-site': 'none',
-                        'sec-fetch-mode': 'navigate',
-                        'sec-fetch-dest': 'document',
-                    },
-                    timeout: { request: 20000 },
-                    retry: { limit: 1 },
-                    proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
-                });
+        async function finishProduct(product, $, pageUrl, source) {
+            if (compareList.length && product.sku) {
+                // The product's own storefront is the baseline the other countries are compared with
+                product.prices ??= { [product.country]: priceEntry(product, fx) };
+                const country = nextCompareCountry(product, compareList);
+                if (country) {
+                    await detailQueue.addRequest({
+                        url: compareUrl(product.sku, country, product.language),
+                        uniqueKey: `compare-${country}-${productKey(product)}`,
+                        userData: { label: 'COMPARE', country, product, source },
+                    });
+                    return;
+                }
+            }
+            if (imagesStore && !product.storedImages && await queueNextImage(product, source)) return;
+            await saveEnrichedProduct(product, $, pageUrl, source);
+        }
 
-                const $ = loadHtml(resp.body);
+        /**
+         * Go on with the product's next image once the current one is stored or has failed
+         */
+        async function nextImage(request) {
+            const { product, source, index } = request.userData;
+            if (!(await queueNextImage(product, source, index + 1))) await saveEnrichedProduct(product, null, request.url, source);
+        }
 
-                // Try structured data first (JSON-LD) - most reliable source
-                let ldDescription = null;
-                let ldBrand = null;
-                let ldRating = null;
-                let ldReviews = null;
-                $('script[type="application/ld+json"]').each((_, el) => {
-                    try {
-                        const parsed = JSON.parse($(el).text().trim());
-                        const nodes = Array.isArray(parsed) ? parsed : [parsed];
-                        for (const node of nodes) {
-                            if (!node || typeof node !== 'object') continue;
-                            const isProduct = node['@type'] === 'Product' || (Array.isArray(node['@type']) && node['@type'].includes('Product'));
-                            if (!isProduct) continue;
-
-                            ldDescription = ldDescription || cleanText(node.description || node?.mainEntity?.description);
-                            const brandVal = node.brand;
-                            if (brandVal) {
-                                if (typeof brandVal === 'string') ldBrand = ldBrand || cleanText(brandVal);
-                                if (typeof brandVal === 'object') ldBrand = ldBrand || cleanText(brandVal.name);
-                            }
-                            const agg = node.aggregateRating || node?.mainEntity?.aggregateRating;
-                            if (agg) {
-                                ldRating = ldRating || parseFloat(agg.ratingValue || agg.rating);
-                                ldReviews = ldReviews || parseInt(agg.reviewCount || agg.ratingCount);
-                            }
-                        }
-                    } catch {
-                        // ignore malformed JSON-LD
-                    }
-                });
+        // ==========================================
+        // CUSTOMER REVIEWS (OPTIONAL)
+        // ==========================================
 
-                // Description - try multiple sources (user-provided selector first)
-                const metaDescription = cleanText(
-                    $('meta[name="description"]').attr('content') ||
-                    $('meta[property="og:description"]').attr('content')
-                );
-
-                // Try to find data in script tags (Next.js data often in self.__next_f or similar)
-                let scriptData = {
-                    rating: null,
-                    reviews: null,
-                    description: null,
-                    brand: null
-                };
-
-                $('script').each((_, el) => {
-                    const text = $(el).html();
-                    if (!text) return;
-
-                    // Extract rating from JSON in scripts (e.g. "brand_rating":{"value":4.3})
-                    if (!scriptData.rating) {
-                        const rateMatch = text.match(/"brand_rating":\s*\{\s*"value":\s*([0-9.]+)/);
-                        if (rateMatch) scriptData.rating = parseFloat(rateMatch[1]);
-                    }
+        const reviewsDataset = scrapeReviews ? await Actor.openDataset(reviewsDatasetName) : null;
+        const reviewedSkus = new Set();
+        let reviewCount = 0;
 
-                    // Extract reviews count
-                    if (!scriptData.reviews) {
-                        const revMatch = text.match(/"rating_count":\s*([0-9]+)/) ||
-                            text.match(/"review_count":\s*([0-9]+)/) ||
-                            text.match(/"count":\s*([0-9]+),\s*"average"/); // common pattern
-                        if (revMatch) scriptData.reviews = parseInt(revMatch[1]);
-                    }
+        // Noon serves reviews from its internal reviews service (JSON), one POST per page
+        const REVIEWS_URL = 'https://www.noon.com/_svc/reviews/fetch/v1/product-reviews/list';
 
-                    // Extract description - improved regex to handle escaped quotes
-                    if (!scriptData.description) {
-                        const descMatch = text.match(/"long_description":\s*"((?:[^"\\]|\\.)*)"/);
-                        if (descMatch) scriptData.description = cleanText(descMatch[1].replace(/\\"/g, '"').replace(/\\n/g, '<br>'));
-                    }
+        /**
+         * Request for one page of a product's reviews, worked off by the detail crawler
+         * Only the product fields the review records need travel with it; `collected` counts the earlier pages.
+         */
+        const reviewsRequest = (product, page, source, collected = 0) => {
+            const locale = parseLocale(product.url);
+            return {
+                url: REVIEWS_URL,
+                method: 'POST',
+                payload: JSON.stringify({
+                    catalogCode: 'noon',
+                    lang: locale.language,
+                    sku: product.sku,
+                    page,
+                    ratings: [1, 2, 3, 4, 5],
+                    sortBy: 'helpful',
+                }),
+                headers: {
+                    'accept': 'application/json, text/plain, */*',
+                    'accept-language': locale.acceptLanguage,
+                    'content-type': 'application/json',
+                    'referer': product.url,
+                    'origin': 'https://www.noon.com',
+                    'sec-fetch-dest': 'empty',
+                    'sec-fetch-mode': 'cors',
+                    'sec-fetch-site': 'same-origin',
+                },
+                uniqueKey: `reviews-${productKey(product)}-${page}`,
+                userData: {
+                    label: 'REVIEWS',
+                    product: { sku: product.sku, url: product.url, language: product.language, country: product.country },
+                    page,
+                    collected,
+                    source,
+                },
+            };
+        };
 
-                    // Extract feature bullets (Highlights)
-                    if (!scriptData.feature_bullets) {
-                        const bullyMatch = text.match(/"feature_bullets":\s*(\[[^\]]+\])/);
-                        if (bullyMatch) {
-                            try {
-                                // Try to parse the array (might need unescaping)
-                                const rawArr = bullyMatch[1].replace(/\\"/g, '"');
-                                const bullets = JSON.parse(rawArr);
-                                if (Array.isArray(bullets) && bullets.length > 0) {
-                                    scriptData.feature_bullets = '<ul>' + bullets.map(b => `<li>${b}</li>`).join('') + '</ul>';
-                                }
-                            } catch (e) {
-                                // simple fallback if parse fails
-                                scriptData.feature_bullets = null;
-                            }
-                        }
-                    }
+        /**
+         * Queue the first review page of every product whose reviews aren't queued yet
+         */
+        async function queueReviews(products, source) {
+            const fresh = products.filter(product => product?.sku && !reviewedSkus.has(product.sku));
+            if (!fresh.length || budgetExhausted()) return;
+            for (const product of fresh) reviewedSkus.add(product.sku);
+            await detailQueue.addRequests(fresh.map(product => reviewsRequest(product, 1, source)));
+        }
 
-                    // Extract specifications for basic table
-                    if (!scriptData.specifications) {
-                        const specMatch = text.match(/"specifications":\s*(\[[^\]]+\])/);
-                        if (specMatch) {
-                            try {
-                                const rawSpec = specMatch[1].replace(/\\"/g, '"');
-                                const specs = JSON.parse(rawSpec);
-                                if (Array.isArray(specs) && specs.length > 0) {
-                                    const rows = specs.map(s => `<tr><td><strong>${s.name}</strong></td><td>${s.value}</td></tr>`).join('');
-                                    scriptData.specifications = `<table class="spec-table">${rows}</table>`;
-                                }
-                            } catch (e) {
-                                scriptData.specifications = null;
-                            }
-                        }
-                    }
+        /**
+         * Save one page of reviews to the reviews dataset and queue the next one until the product has enough
+         */
+        async function saveReviewsPage(request, json) {
+            const { product, page, collected, source } = request.userData;
+            const list = json?.list || json?.reviews || json?.data?.list || json?.data?.reviews || [];
+            if (!Array.isArray(list) || list.length === 0) {
+                log.debug(`[REVIEWS] No reviews for ${product.sku} on page ${page}`);
+                return;
+            }
 
-                    // Extract brand
-                    if (!scriptData.brand) {
-                        const brandMatch = text.match(/"brand":\s*\{\s*"code":\s*"[^"]+",\s*"name":\s*"([^"]+)"/);
-                        if (brandMatch) scriptData.brand = cleanText(brandMatch[1]);
-                    }
-                });
+            const reviews = list.map(r => extractReview(r, product)).filter(Boolean).slice(0, MAX_REVIEWS - collected);
+            if (reviews.length) {
+                await reviewsDataset.pushData(reviews);
+                reviewCount += reviews.length;
+                log.info(`📝 [REVIEWS] Saved ${reviews.length} reviews for ${product.sku} (page ${page})`);
+            }
 
-                // Description container - fallback chain
-                // Priority: Script Description > Script Highlights > Script Specs > DOM Selectors
-                const description = cleanText(
-                    scriptData.description ||
-                    (scriptData.feature_bullets ? `<h3>Highlights</h3>${scriptData.feature_bullets}` : null) ||
-                    (scriptData.specifications ? `<h3>Specifications</h3>${scriptData.specifications}` : null) ||
-                    $('div.OverviewTab-module-scss-module__NTeOuq__container').text() ||
-                    $('[class*="OverviewTab"][class*="container"]').text() ||
-                    $('#OverviewArea').text() ||
-                    $('[data-qa*="overview"]').text() ||
-                    metaDescription ||
-                    ldDescription
-                ) || product.description;
-
-                // Brand - use exact user-provided selector with textContent child
-                const brand = cleanText(
-                    scriptData.brand || // Script data priority
-                    $('div.BrandStoreCtaV2-module-scss-module___vJ0Tq__brandAndVariantsButton [class*="textContent"]').text() ||
-                    $('[class*="BrandStoreCtaV2"] [class*="textContent"]').first().text() ||
-                    $('a.BrandStoreCtaV2-module-scss-module___vJ0Tq__brandStoreLink').first().text() ||
-                    $('a[href*="/brand/"]').first().text() ||
-                    $('[data-qa*="brand"]').first().text() ||
-                    ldBrand
-                ) || product.brand;
-
-                // Rating - use exact user-provided selector with span child for text
-                const ratingElement = $('div.RatingPreviewStarV2-module-scss-module__0_8vQW__starsCtr span.RatingPreviewStarV2-module-scss-module__0_8vQW__text');
-                let rating = null;
-                if (ratingElement.length) {
-                    const ratingText = ratingElement.text();
-                    const ratingMatch = ratingText.match(/([1-5]\.?\d?)/);
-                    if (ratingMatch) rating = parseFloat(ratingMatch[1]);
-                }
-                if (!rating && scriptData.rating) rating = scriptData.rating; // Script data fallback
-                if (!rating && ldRating) rating = ldRating;
-                if (!rating) {
-                    // Fallback to searching in page text
-                    const pageText = $('body').text();
-                    const fallbackMatch = pageText.match(/\b([1-5]\.\d{1,2})\s*(?:out of 5|\/5|\s*stars?)?/i);
-                    if (fallbackMatch) rating = parseFloat(fallbackMatch[1]);
-                }
-                rating = rating || product.rating;
-
-                // Reviews count - extract from "Based on X ratings" text
-                let reviewsCount = null;
-                const pageText = $('body').text();
-
-                // Try to find "Based on X ratings" pattern first (most reliable DOM pattern)
-                const basedOnMatch = pageText.match(/Based on ([\d,]+)\s*(?:ratings?|reviews?)/i);
-                if (basedOnMatch) {
-                    reviewsCount = parseInt(basedOnMatch[1].replace(/,/g, ''));
-                } else if (scriptData.reviews) {
-                    reviewsCount = scriptData.reviews; // Script data fallback
-                } else {
-                    // Fallback to other patterns
-                    const reviewsElement = $('div.RatingPreviewStarV2-module-scss-module__0_8vQW__ratingsCountCtr');
-                    if (reviewsElement.length) {
-                        const reviewsText = reviewsElement.text();
-                        // Skip if it's just "Brand Rating"
-                        if (!reviewsText.includes('Brand Rating')) {
-                            const reviewsMatch = reviewsText.match(/(\d+(?:,\d+)*(?:\.\d+)?K?)/i);
-                            if (reviewsMatch) {
-                                const reviewStr = reviewsMatch[1];
-                                if (reviewStr.toUpperCase().includes('K')) {
-                                    reviewsCount = Math.round(parseFloat(reviewStr.replace(/K/i, '')) * 1000);
-                                } else {
-                                    reviewsCount = parseInt(reviewStr.replace(/,/g, ''));
-                                }
-                            }
-                        }
-                    }
-                }
-                if (!reviewsCount && ldReviews) reviewsCount = ldReviews;
-                if (!reviewsCount) {
-                    // Final fallback to regex on page text
-                    const patterns = [
-                        /(\d+(?:,\d+)*)\s*(?:ratings?|reviews?)/i,
-                        /\((\d+(?:,\d+)*)\)/
-                    ];
-                    for (const pattern of patterns) {
-                        const match = pageText.match(pattern);
-                        if (match) {
-                            reviewsCount = parseInt(match[1].replace(/,/g, ''));
-                            break;
-                        }
-                    }
-                }
-                reviewsCount = reviewsCount || product.reviewsCount;
-
-                return {
-                    ...product,
-                    description: description || product.description || null,
-                    brand: brand || product.brand || null,
-                    rating: rating ?? product.rating ?? null,
-                    reviewsCount: reviewsCount ?? product.reviewsCount ?? null,
-                };
-            } catch (err) {
-                log.warning(`Detail fetch failed for ${product.url}: ${err.message}`);
-                return product;
+            const total = collected + reviews.length;
+            const totalPages = json.totalPages || json.total_pages || json.data?.totalPages;
+            if (total < MAX_REVIEWS && !(totalPages && page >= totalPages) && !budgetExhausted()) {
+                await detailQueue.addRequest(reviewsRequest(product, page + 1, source, total));
             }
         }
 
-
         // ==========================================
         // CRAWLER SETUP WITH DUAL APPROACH
         // ==========================================
 
-        const crawler = new CheerioCrawler({
+        // Enhanced error handling (Crawlee passes error as 2nd argument)
+        function recordFailedRequest({ request, log: ctxLog, session }, error) {
+            const logger = ctxLog || log;
+            const message = error?.message || 'Unknown error';
+            const status = error?.statusCode || error?.response?.statusCode;
+
+            logger.error(`❌ Request failed${status ? ` (${status})` : ''}: ${request.url}`);
+            logger.error(`Error: ${message}`);
+
+            // Rotate session on hard blocks
+            if (status === 403 && session?.retire) {
+                session.retire();
+            }
+
+            const sourceId = request.userData?.source || 'unknown';
+            sourceStatsFor(sourceId).errors++;
+            errors.push({
+                url: request.url,
+                error: message,
+                statusCode: status ?? null,
+                page: request.userData?.page || 'unknown',
+                source: sourceId,
+            });
+        }
+
+        // Proxy, retry and stealth-header settings shared by the listing and detail crawlers
+        const sharedCrawlerOptions = {
             proxyConfiguration: proxyConf,
             maxRequestRetries: 5,
-            useSessionPool: true,
-            sessionPoolOptions: {
-                maxPoolSize: 50,
-                sessionOptions: {
-                    maxUsageCount: 10,
-                    maxErrorScore: 3,
-                },
-            },
-            maxConcurrency: 6, // slightly higher for speed with API-first
-            minConcurrency: 2,
             requestHandlerTimeoutSecs: 120,
             navigationTimeoutSecs: 60,
+            useSessionPool: true,
 
-            // Add moderate rate limit for stealth
+            // Add moderate rate limit for stealth (applies to each crawler)
             maxRequestsPerMinute: 60,
 
             // Pre-navigation hook to add stealth headers
             preNavigationHooks: [
                 async ({ request, session }, gotoOptions) => {
+                    // Retries are counted too, each one goes through the proxy again
+                    budget.countRequest();
+                    const locale = parseLocale(request.url);
                     const stealthHeaders = headerGenerator.getHeaders({
                         httpVersion: '2',
-                        locales: ['en-US', 'en-AE'],
+                        locales: locale.headerLocales,
                     });
 
                     gotoOptions.headers = {
                         ...gotoOptions.headers,
                         ...stealthHeaders,
                         'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-                        'accept-language': 'en-US,en;q=0.9',
+                        'accept-language': locale.acceptLanguage,
                         'cache-control': 'max-age=0',
                         'sec-fetch-dest': 'document',
                         'sec-fetch-mode': 'navigate',
                         'sec-fetch-site': 'none',
                         'upgrade-insecure-requests': '1',
+                        // Images and API calls bring headers of their own
+                        ...request.headers,
                     };
                 },
             ],
+        };
+
+        const crawler = new CheerioCrawler({
+            ...sharedCrawlerOptions,
+            sessionPoolOptions: {
+                maxPoolSize: 50,
+                sessionOptions: {
+                    maxUsageCount: 10,
+                    maxErrorScore: 3,
+                },
+            },
+            maxConcurrency: 6, // slightly higher for speed with API-first
+            minConcurrency: 2,
 
-            async requestHandler({ request, $, crawler, log: crawlerLog }) {
-                const label = request.userData?.label || 'LIST';
+            async requestHandler({ request, $, body, crawler, log: crawlerLog }) {
+                budget.addBytes(Buffer.byteLength(body));
+                if (budgetExhausted()) {
+                    crawlerLog.info(`🛑 Budget ${stopReason} used up, skipping: ${request.url}`);
+                    crawler.stop(`Budget ${stopReason} used up`);
+                    return;
+                }
+
+                let label = request.userData?.label || 'LIST';
+                let categoryPath = request.userData?.categoryPath || null;
                 const currentPage = request.userData?.page || 1;
+                const searchQuery = request.userData?.searchQuery || null;
+                const positionOffset = request.userData?.positionOffset || 0;
+                const organicOffset = request.userData?.organicOffset || 0;
+                const sourceId = request.userData?.source || 'unknown';
+                const stats = sourceStatsFor(sourceId);
+
+                if (label === 'CATEGORY') {
+                    if (remainingFor(stats) <= 0) {
+                        crawlerLog.info(`🛑 Skipping category, limit reached: ${request.url}`);
+                        return;
+                    }
+
+                    const depth = request.userData?.depth || 0;
+                    const path = categoryPath?.length ? categoryPath : [extractCategoryName($, request.url)].filter(Boolean);
+                    const subcategories = depth < MAX_CATEGORY_DEPTH
+                        ? extractSubcategories($, request.loadedUrl || request.url)
+                        : [];
+
+                    if (subcategories.length > 0) {
+                        crawlerLog.info(`🗂️ Found ${subcategories.length} subcategories under ${path.join(' > ')}`);
+                        await crawler.addRequests(subcategories.map(sub => ({
+                            url: applyListingFilters(sub.url, listingFilters),
+                            userData: {
+                                label: 'CATEGORY',
+                                depth: depth + 1,
+                                categoryPath: [...path, sub.name],
+                                source: sourceId,
+                            },
+                        })));
+                        return;
+                    }
+
+                    // Leaf category - scrape it as a listing page right away
+                    crawlerLog.info(`🍃 Leaf category: ${path.join(' > ')}`);
+                    categoryPath = path;
+                    label = 'LIST';
+                }
 
                 if (label === 'LIST') {
                     pageCount++;
-                    crawlerLog.info(`📄 Processing page ${currentPage} (${pageCount}/${MAX_PAGES}): ${request.url}`);
-
-                    let productsToSave = [];
+                    stats.pages++;
+                    crawlerLog.info(`📄 Processing page ${currentPage} (${pageCount}/${MAX_PAGES}) [${stats.label}]: ${request.url}`);
 
                     // ========================================
-                    // STEP 1: Try API first (PRIMARY METHOD)
+                    // STEP 1: Run extraction strategies, best-scoring first
                     // ========================================
-                    const apiResult = await fetchProductsViaAPI(request.url, currentPage);
-
-                    if (apiResult.success && apiResult.products.length > 0) {
-                        crawlerLog.info(`✅ [API] Successfully fetched ${apiResult.products.length} products from API`);
-                        productsToSave = apiResult.products;
-                        // Note: Pagination will be queued AFTER saving products
+                    const extraction = await extractListing({ request, $, currentPage }, crawlerLog);
+                    let productsToSave = extraction.products;
+
+                    if (!extraction.strategy) {
+                        crawlerLog.error(`❌ No products found on ${request.url}`);
+                        crawlerLog.error(`Page content sample: ${$.html().substring(0, 500)}`);
+
+                        // Check if we hit a block/captcha page
+                        const bodyText = $('body').text().toLowerCase();
+                        if (bodyText.includes('captcha') || bodyText.includes('blocked')) {
+                            crawlerLog.error('🚫 Detected CAPTCHA or block page');
+                            errors.push({ page: currentPage, error: 'CAPTCHA/Block detected', source: sourceId });
+                            stats.errors++;
+                        }
+                        return;
                     }
+                    if (extraction.strategy === 'api') stats.apiHits++;
+                    else stats.htmlHits++;
+
+                    // Ranks count every product shown, before filters and dedupe, so they match what shoppers see
+                    const ranking = rankListingProducts(productsToSave, { positionOffset, organicOffset });
+                    productsToSave = ranking.products;
+
                     // ========================================
-                    // STEP 2: Fallback to HTML parsing
-                    // ========================================
-                    // ========================================
-                    // STEP 2: Fallback to HTML parsing
+                    // STEP 2: Save validated products
                     // ========================================
-                    else {
-                        crawlerLog.warning('⚠️ [API] Failed, falling back to HTML parsing');
-
-                        // --- NEW: Parse Next.js Data for Fallback ---
-                        let productMap = {};
-                        try {
-                            const nextDataScript = $('#__NEXT_DATA__').html();
-                            if (nextDataScript) {
-                                const nextData = JSON.parse(nextDataScript);
-
-                                // Helper to recursively find "hits" or products array
-                                const findHits = (obj, depth = 0) => {
-                                    if (!obj || depth > 5) return [];
-                                    if (Array.isArray(obj)) return obj; // If it's already an array, check it
-                                    if (obj.hits && Array.isArray(obj.hits)) return obj.hits;
-                                    if (obj.products && Array.isArray(obj.products)) return obj.products;
-
-                                    // Should be in props.pageProps.catalog.hits usually
-                                    for (const key in obj) {
-                                        if (typeof obj[key] === 'object') {
-                                            const found = findHits(obj[key], depth + 1);
-                                            if (found && found.length > 0) return found;
-                                        }
-                                    }
-                                    return [];
-                                };
-
-                                // Try standard path first for speed
-                                let hits = nextData?.props?.pageProps?.catalog?.hits ||
-                                    nextData?.props?.pageProps?.initialData?.catalog?.hits;
-
-                                // If not found, search
-                                if (!hits || hits.length === 0) {
-                                    hits = findHits(nextData?.props?.pageProps);
-                                }
-
-                                if (hits && Array.isArray(hits)) {
-                                    crawlerLog.info(`🔍 [HTML] Found ${hits.length} products in hidden JSON data`);
-                                    hits.forEach(hit => {
-                                        if (hit.sku || hit.product_code) {
-                                            productMap[hit.sku || hit.product_code] = hit;
-                                        }
-                                    });
-                                }
-                            }
-                        } catch (e) {
-                            crawlerLog.debug(`[HTML] Failed to parse JSON data: ${e.message}`);
+                    if (productsToSave.length > 0) {
+                        // Search results keep their rank on the results page
+                        if (searchQuery) {
+                            productsToSave = productsToSave.map(prod => ({ ...prod, searchQuery, position: prod.absoluteRank }));
                         }
-
-                        // Try multiple selectors for product containers
-                        const productSelectors = [
-                            '[data-qa="plp-product-box"]',  // Primary: Noon's main product box container
-                            '[data-qa*="product-box"]',      // Fallback: any product box variant
-                            '[data-qa*="product"]',          // Fallback: any product element
-                            '[class*="ProductCard"]',
-                            '[class*="productContainer"]',
-                            'div[class*="sc-"] a[href*="/p/"]',
-                            'article[class*="product"]',
-                        ];
-
-                        let $products = null;
-                        for (const selector of productSelectors) {
-                            const found = $(selector);
-                            if (found.length > 0) {
-                                $products = found;
-                                crawlerLog.info(`✅ [HTML] Found ${found.length} products using selector: ${selector}`);
-                                break;
-                            }
+                        if (categoryPath) {
+                            productsToSave = productsToSave.map(prod => ({ ...prod, categoryPath }));
                         }
 
-                        if (!$products || $products.length === 0) {
-                            crawlerLog.error(`❌ No products found on ${request.url}`);
-                            crawlerLog.error(`Page content sample: ${$.html().substring(0, 500)}`);
-
-                            // Check if we hit a block/captcha page
-                            const bodyText = $('body').text().toLowerCase();
-                            if (bodyText.includes('captcha') || bodyText.includes('blocked')) {
-                                crawlerLog.error('🚫 Detected CAPTCHA or block page');
-                                errors.push({ page: currentPage, error: 'CAPTCHA/Block detected' });
-                            }
-                            return;
+                        // Skip products already saved from another page, start URL or extraction path
+                        const validProducts = [];
+                        for (const prod of productsToSave) {
+                            if (validProducts.length >= remainingFor(stats)) break;
+                            if (!validateProduct(prod) || !matchesFilters(prod, listingFilters)) continue;
+
+                            const sighting = {
+                                url: request.url,
+                                page: currentPage,
+                                position: prod.absoluteRank,
+                            };
+                            if (registerSighting(prod, sighting)) validProducts.push(prod);
+                        }
+                        if (validProducts.length < productsToSave.length) {
+                            crawlerLog.debug(`Skipped ${productsToSave.length - validProducts.length} invalid, filtered or duplicate products`);
                         }
 
-                        crawlerLog.info(`📦 [HTML] Processing ${$products.length} product elements`);
-
-                        $products.each((_, productEl) => {
-                            if (saved >= MAX_PRODUCTS) return false;
-
-                            // Pass productMap to extraction function
-                            const productData = extractProductData($, productEl, request.url, productMap);
-                            if (productData && validateProduct(productData)) {
-                                productsToSave.push(productData);
-                            }
-                        });
-                        // Note: Pagination will be queued AFTER saving products
-                    }
-
-                    // ========================================
-                    // STEP 3: Save validated products
-                    // ========================================
-                    if (productsToSave.length > 0) {
-                        const validProducts = productsToSave.filter(validateProduct).slice(0, MAX_PRODUCTS - saved);
-
-                        // Enrich products with detail page data where needed (optional for speed)
-                        const enrichedProducts = [];
-                        let detailFetched = 0;
+                        // Products missing detail-page fields go to the detail queue, the rest are saved right away
+                        const readyProducts = [];
+                        const detailProducts = [];
                         for (const prod of validProducts) {
-                            const needsDetail = !prod.description || !prod.brand || !prod.rating || !prod.reviewsCount;
-                            if (fetchDetails && detailFetched < DETAIL_LIMIT && needsDetail) {
-                                const enriched = await enrichProductWithDetails(prod);
-                                enrichedProducts.push(enriched);
-                                detailFetched += 1;
+                            const needsDetail = !prod.description || !prod.brand || !prod.rating || !prod.reviewsCount
+                                || prod.inStock == null;
+                            if (fetchDetails && detailProducts.length < DETAIL_LIMIT && needsDetail) {
+                                detailProducts.push(prod);
                             } else {
-                                enrichedProducts.push(prod);
+                                readyProducts.push(prod);
                             }
                         }
 
-                        if (enrichedProducts.length > 0) {
-                            pushBuffer.push(...enrichedProducts);
+                        // Queued products count toward the limits now, so later pages don't overshoot maxProducts
+                        saved += readyProducts.length + detailProducts.length;
+                        stats.products += readyProducts.length + detailProducts.length;
+
+                        if (detailProducts.length > 0) {
+                            await detailQueue.addRequests(detailProducts.map(prod => ({
+                                url: prod.url,
+                                uniqueKey: `enrich-${productKey(prod)}`,
+                                userData: { label: 'ENRICH', product: prod, source: sourceId },
+                            })));
+                            crawlerLog.info(`🔎 Queued ${detailProducts.length} products for detail enrichment`);
+                        }
+
+                        if (readyProducts.length > 0 && queuedSteps.length) {
+                            // Saved once their other storefronts and images have been fetched
+                            for (const prod of readyProducts) await finishProduct(prod, $, request.url, sourceId);
+                            crawlerLog.info(`🌍 Queued ${readyProducts.length} products for ${queuedSteps.join(' and ')}`);
+                        } else if (readyProducts.length > 0) {
+                            pushBuffer.push(...readyProducts);
                             await flushBuffer();
-                            saved += enrichedProducts.length;
-                            crawlerLog.info(`💾 Saved ${enrichedProducts.length} products (Total: ${saved}/${MAX_PRODUCTS})`);
+                            crawlerLog.info(`💾 Saved ${readyProducts.length} products (Total: ${saved}/${PRODUCT_LIMIT_LABEL})`);
+                            await recordQuality(readyProducts, $, request.url);
+
+                            if (scrapeReviews) await queueReviews(readyProducts, sourceId);
 
                             // Log sample product for verification
-                            crawlerLog.debug(`Sample product: ${JSON.stringify(enrichedProducts[0], null, 2)}`);
+                            crawlerLog.debug(`Sample product: ${JSON.stringify(readyProducts[0], null, 2)}`);
                         }
                     } else {
                         crawlerLog.warning('⚠️ No valid products to save from this page');
                     }
 
                     // ========================================
-                    // STEP 4: Queue next page ONLY if needed
+                    // STEP 3: Queue next page ONLY if needed
                     // ========================================
-                    if (saved < MAX_PRODUCTS && pageCount < MAX_PAGES) {
-                        if (apiResult.success && apiResult.pagination?.hasNext) {
+                    // Category-tree leaves each get their own maxPages budget; a start URL's own maxPages
+                    // applies on top of the run-wide one, like its maxProducts
+                    const pageLimit = Math.min(stats.maxPages || MAX_PAGES, MAX_PAGES);
+                    const sourcePages = stats.maxPages ? stats.pages : pageCount;
+                    const pagesUsed = categoryPath ? currentPage : sourcePages;
+                    const pagesLeft = pagesUsed < pageLimit && (categoryPath || pageCount < MAX_PAGES);
+                    if (remainingFor(stats) > 0 && pagesLeft) {
+                        const nextUserData = {
+                            label: 'LIST',
+                            page: currentPage + 1,
+                            searchQuery,
+                            categoryPath,
+                            source: sourceId,
+                            positionOffset: ranking.positionOffset,
+                            organicOffset: ranking.organicOffset,
+                        };
+
+                        if (extraction.pagination?.hasNext) {
                             // API pagination
                             const nextPageNum = currentPage + 1;
                             const nextUrl = new URL(request.url);
@@ -894,13 +1046,12 @@ async function main() {
 
                             await crawler.addRequests([{
                                 url: nextUrl.href,
-                                userData: { label: 'LIST', page: nextPageNum },
+                                userData: nextUserData,
                             }]);
 
                             crawlerLog.info(`➡️ [API] Queued next page: ${nextPageNum}`);
                         } else if (productsToSave.length > 0) {
                             // HTML pagination
-                            const isProductLink = (href) => href && /\/p\//i.test(href);
                             const nextPageLink = $('a[aria-label*="next"]').first().attr('href') ||
                                 $('a[class*="next"]').first().attr('href') ||
                                 $(`a:contains("${currentPage + 1}")`).first().attr('href');
@@ -909,7 +1060,7 @@ async function main() {
                                 const nextUrl = toAbs(nextPageLink, request.url);
                                 await crawler.addRequests([{
                                     url: nextUrl,
-                                    userData: { label: 'LIST', page: currentPage + 1 },
+                                    userData: nextUserData,
                                 }]);
                                 crawlerLog.info(`➡️ [HTML] Queued next page: ${nextUrl}`);
                             } else {
@@ -928,52 +1079,187 @@ async function main() {
 
                                 await crawler.addRequests([{
                                     url: nextUrl.href,
-                                    userData: { label: 'LIST', page: currentPage + 1 },
+                                    userData: nextUserData,
                                 }]);
 
                                 crawlerLog.info(`➡️ [HTML] Constructed next page URL: ${nextUrl.href}`);
                             }
                         }
                     } else {
-                        crawlerLog.info(`🛑 Stopping pagination: saved=${saved}/${MAX_PRODUCTS}, pages=${pageCount}/${MAX_PAGES}`);
+                        crawlerLog.info(`🛑 Stopping pagination [${stats.label}]: saved=${stats.products}, `
+                            + `total=${saved}/${PRODUCT_LIMIT_LABEL}, pages=${pagesUsed}/${pageLimit}`);
                     }
 
                     // Add small delay between requests (faster)
                     await new Promise(resolve => setTimeout(resolve, 250 + Math.random() * 750));
+                } else if (label === 'DETAIL') {
+                    if (remainingFor(stats) <= 0) {
+                        crawlerLog.info(`🛑 Skipping product page, limit reached: ${request.url}`);
+                        return;
+                    }
+
+                    const productUrl = request.loadedUrl || request.url;
+                    const product = parseProductDetails($, createDetailProduct(productUrl, request.userData?.sku));
+
+                    if (!validateProduct(product)) {
+                        crawlerLog.warning(`⚠️ No valid product data on ${productUrl}`);
+                        return;
+                    }
+                    if (!registerSighting(product, { url: productUrl, page: null, position: null })) {
+                        crawlerLog.info(`⏭️ Product ${product.sku || productUrl} already saved, skipping`);
+                        return;
+                    }
+
+                    saved += 1;
+                    stats.products += 1;
+                    stats.htmlHits++;
+                    if (queuedSteps.length) {
+                        await finishProduct(product, $, productUrl, sourceId);
+                        return;
+                    }
+
+                    pushBuffer.push(product);
+                    await flushBuffer();
+                    crawlerLog.info(`💾 Saved product ${product.sku || productUrl} (Total: ${saved}/${PRODUCT_LIMIT_LABEL})`);
+                    await recordQuality([product], $, productUrl);
+
+                    if (scrapeReviews) await queueReviews([product], sourceId);
                 }
             },
 
-            // Enhanced error handling (Crawlee passes error as 2nd argument)
-            failedRequestHandler({ request, log: ctxLog, session }, error) {
-                const logger = ctxLog || log;
-                const message = error?.message || 'Unknown error';
-                const status = error?.statusCode || error?.response?.statusCode;
-
-                logger.error(`❌ Request failed${status ? ` (${status})` : ''}: ${request.url}`);
-                logger.error(`Error: ${message}`);
+            failedRequestHandler: recordFailedRequest,
+        });
 
-                // Rotate session on hard blocks
-                if (status === 403 && session?.retire) {
-                    session.retire();
+        // Detail pages for listing products, with a concurrency limit of their own
+        const detailCrawler = detailQueue ? new CheerioCrawler({
+            ...sharedCrawlerOptions,
+            requestQueue: detailQueue,
+            sessionPoolOptions: {
+                maxPoolSize: 50,
+                persistStateKey: 'DETAIL_SESSION_POOL_STATE',
+                sessionOptions: {
+                    maxUsageCount: 10,
+                    maxErrorScore: 3,
+                },
+            },
+            maxConcurrency: DETAIL_CONCURRENCY,
+            // Keep waiting for products from listing pages; stopped once the listing crawler is done
+            keepAlive: true,
+            additionalMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'],
+
+            async requestHandler({ request, response, contentType, $, body, json, crawler: ownCrawler }) {
+                budget.addBytes(Buffer.byteLength(body));
+                const { label, product, country, source } = request.userData;
+                const pageUrl = request.loadedUrl || request.url;
+
+                // The page is already downloaded, so it is still parsed when this request used up the budget
+                if (label === 'REVIEWS') {
+                    await saveReviewsPage(request, json);
+                } else if (label === 'IMAGE') {
+                    const { key } = request.userData;
+                    if (response.statusCode < 400 && contentType.type.startsWith('image/')) {
+                        await imagesStore.setValue(key, body, { contentType: contentType.type });
+                        imagesStoredCount += 1;
+                        product.storedImages.push({ key, url: imagesStore.getPublicUrl(key), sourceUrl: request.url });
+                    } else {
+                        log.debug(`[IMAGES] ${request.url} returned ${response.statusCode} (${contentType.type}), not stored`);
+                    }
+                    await nextImage(request);
+                } else if (label === 'COMPARE') {
+                    product.prices[country] = storefrontEntry($, product.sku, pageUrl, fx);
+                    // Quality samples only come from the product's own storefront
+                    await finishProduct(product, null, pageUrl, source);
+                } else {
+                    await finishProduct(parseProductDetails($, product), $, pageUrl, source);
                 }
+                if (budgetExhausted()) ownCrawler.stop(`Budget ${stopReason} used up`);
+            },
 
-                errors.push({
-                    url: request.url,
-                    error: message,
-                    statusCode: status ?? null,
-                    page: request.userData?.page || 'unknown',
-                });
+            // The listing data is still worth saving when the detail page can't be loaded,
+            // and a storefront that doesn't answer is recorded as not selling the product
+            async failedRequestHandler(context, error) {
+                const { label, product, country, source } = context.request.userData;
+                // A missing image doesn't make the product worse, so it is not counted as an error
+                if (label === 'IMAGE') {
+                    log.debug(`[IMAGES] Failed to store ${context.request.url}: ${error.message}`);
+                    await nextImage(context.request);
+                    return;
+                }
+                recordFailedRequest(context, error);
+                // Review pages belong to products that are already saved
+                if (label === 'REVIEWS') return;
+                if (label === 'COMPARE') product.prices[country] = null;
+                await finishProduct(product, null, context.request.url, source);
             },
-        });
+        }) : null;
+
+        // Start URLs are product pages, category trees to walk or plain listings
+        const startLabel = (u) => {
+            if (isProductLink(u)) return { label: 'DETAIL' };
+            return crawlCategoryTree ? { label: 'CATEGORY', depth: 0 } : { label: 'LIST', page: 1 };
+        };
 
         // Start crawling
         log.info('🚀 Starting crawler...');
-        await crawler.run(initial.map((u, idx) => ({
-            url: u,
-            userData: { label: 'LIST', page: 1 },
-            uniqueKey: `start-${idx}`,
-        })));
+        // A failed detail crawler must not reject unobserved while the listing crawl runs;
+        // its queued products are then saved without enrichment below
+        let detailCrawlerFailed = false;
+        const detailRun = detailCrawler?.run().catch((err) => {
+            detailCrawlerFailed = true;
+            log.error(`❌ Detail crawler failed: ${err.message}`);
+            errors.push({ url: null, error: `Detail crawler failed: ${err.message}`, statusCode: null, page: 'unknown', source: 'details' });
+        });
+        await crawler.run([
+            ...initial.map(({ url: u }, idx) => ({
+                url: isProductLink(u) ? u : applyListingFilters(u, listingFilters),
+                userData: {
+                    ...startLabel(u),
+                    source: `start-${idx}`,
+                },
+                uniqueKey: `start-${idx}`,
+            })),
+            ...queryList.map(query => ({
+                url: buildSearchUrl(query),
+                userData: { label: 'LIST', page: 1, searchQuery: query, source: `search-${query}` },
+                uniqueKey: `search-${storefrontLocale}-${query}`,
+            })),
+            ...skuList.map(sku => ({
+                url: `https://www.noon.com/${storefrontLocale}/p/${sku}`,
+                userData: { label: 'DETAIL', sku, source: 'skus' },
+                uniqueKey: `sku-${storefrontLocale}-${sku}`,
+            })),
+        ]);
+
+        if (detailCrawler) {
+            while (!detailCrawlerFailed && !budgetExhausted() && !(await detailQueue.isFinished())) {
+                await new Promise(resolve => { setTimeout(resolve, 1000); });
+            }
+            if (!detailCrawlerFailed) detailCrawler.stop(stopReason ? `Budget ${stopReason} used up` : 'Detail queue finished');
+            await detailRun;
+
+            // Products still waiting for their detail page when a budget ran out or the detail crawler failed
+            // keep their listing data
+            let pending;
+            let unenriched = 0;
+            while ((pending = await detailQueue.fetchNextRequest())) {
+                // Review pages have nothing to save, their products are in the dataset already
+                if (pending.userData.label !== 'REVIEWS') {
+                    await saveEnrichedProduct(pending.userData.product, null, pending.url, pending.userData.source);
+                    unenriched++;
+                }
+                await detailQueue.markRequestHandled(pending);
+            }
+            if (unenriched) log.info(`💾 Saved ${unenriched} queued products without detail enrichment`);
+            await detailQueue.drop();
+        }
         await flushBuffer(true);
+        if (httpSink) {
+            const waiting = httpSink.state().pending.length;
+            if (waiting) log.info(`📮 Waiting for ${waiting} webhook batches to be delivered`);
+            await httpSink.drain();
+        }
+        await persistState();
+        const exportsWritten = exportFormatList.length ? await writeExports() : {};
 
         // ==========================================
         // FINAL SUMMARY
@@ -981,9 +1267,73 @@ async function main() {
         log.info('='.repeat(60));
         log.info('📊 SCRAPING SUMMARY');
         log.info('='.repeat(60));
-        log.info(`✅ Total products saved: ${saved}/${MAX_PRODUCTS}`);
+        log.info(`✅ Total products saved: ${saved}/${PRODUCT_LIMIT_LABEL}`);
         log.info(`📄 Total pages processed: ${pageCount}/${MAX_PAGES}`);
         log.info(`❌ Total errors: ${errors.length}`);
+        const usage = budget.usage();
+        log.info(`⏱️ Budget usage: ${usage.runMinutes} min, ${usage.requests} requests, ~${usage.bandwidthMB} MB`
+            + `${stopReason ? ` (stopped by ${stopReason})` : ''}`);
+        log.info(`♻️ Duplicate sightings merged: ${duplicateCount} (every sighting is listed in ${FOUND_IN_KEY})`);
+        if (downloadImages) {
+            log.info(`🖼️ Images stored: ${imagesStoredCount} (key-value store "${imagesStoreName}")`);
+        }
+        if (scrapeReviews) {
+            log.info(`📝 Reviews saved: ${reviewCount} for ${reviewedSkus.size} products (dataset "${reviewsDatasetName}")`);
+        }
+        if (httpSink) {
+            const webhook = httpSink.state();
+            log.info(`📮 Webhook batches: ${webhook.delivered}/${webhook.batches} delivered (${webhook.items} items)`
+                + `${webhook.deadLettered ? `, ${webhook.deadLettered} in "${webhookDeadLetterStoreName}"` : ''}`);
+        }
+        if (trackChanges) {
+            log.info(`🔔 Change events recorded: ${changeCount} (dataset "${changesDatasetName}")`);
+        }
+        for (const [name, health] of Object.entries(strategyHealth.snapshot())) {
+            log.info(`🧩 Strategy ${name}: ${health.successes}/${health.attempts} pages, ${health.products} products (score ${health.score})`);
+        }
+        for (const source of Object.values(sourceStats)) {
+            log.info(`🔗 ${source.label}: ${source.products} products, ${source.pages} pages `
+                + `(API ${source.apiHits} / HTML ${source.htmlHits}), ${source.errors} errors`);
+        }
+
+        const qualityReport = { ...qualityMonitor.report(), samples: qualitySamples };
+        await Actor.setValue('QUALITY_REPORT', qualityReport);
+        if (!qualityReport.checked) {
+            log.info(`🩺 Data quality: only ${qualityReport.products} products, fill rates not checked`);
+        } else if (qualityReport.passed) {
+            log.info('🩺 Data quality: all monitored fields above their thresholds');
+        } else {
+            for (const field of qualityReport.failing) {
+                const { fillRate, threshold } = qualityReport.fields[field];
+                log.warning(`🩺 Low fill rate for ${field}: ${Math.round(fillRate * 100)}% (threshold ${Math.round(threshold * 100)}%)`
+                    + `${qualitySamples[field] ? `, sample page in ${qualitySamples[field]}` : ''}`);
+            }
+        }
+
+        // Structured copy of the summary for integrations and dashboards
+        await Actor.setValue('RUN_REPORT', {
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            limits: { maxProducts: Number.isFinite(MAX_PRODUCTS) ? MAX_PRODUCTS : null, maxPages: MAX_PAGES },
+            // Which limit ended the crawl: a budget name, maxProducts, or null when the sources ran out first
+            stoppedBy: stopReason || (saved >= MAX_PRODUCTS ? 'maxProducts' : null),
+            budget: { limits: budget.limits, usage: budget.usage() },
+            totals: {
+                products: saved,
+                pages: pageCount,
+                errors: errors.length,
+                duplicates: duplicateCount,
+                images: imagesStoredCount,
+                reviews: reviewCount,
+                changes: changeCount,
+            },
+            sources: Object.values(sourceStats),
+            strategies: strategyHealth.snapshot(),
+            quality: { passed: qualityReport.passed, failing: qualityReport.failing },
+            exports: exportsWritten,
+            webhook: httpSink?.state() || null,
+            errors: errors.slice(0, 100),
+        });
 
         if (errors.length > 0) {
             log.warning('⚠️ Errors encountered:');
@@ -997,7 +1347,9 @@ async function main() {
 
         if (saved === 0) {
             log.error('🚨 NO PRODUCTS SAVED! Check errors above.');
-        } else if (saved < MAX_PRODUCTS / 2) {
+        } else if (stopReason) {
+            log.warning(`⏱️ Stopped early by the ${stopReason} budget after ${saved} products`);
+        } else if (Number.isFinite(MAX_PRODUCTS) && saved < MAX_PRODUCTS / 2) {
             log.warning(`⚠️ Only saved ${saved} products out of ${MAX_PRODUCTS} requested`);
         } else {
             log.info('✅ Scraping completed successfully!');
@@ -1005,6 +1357,10 @@ async function main() {
 
         log.info('='.repeat(60));
 
+        if (failOnLowQuality && !qualityReport.passed) {
+            await Actor.fail(`Data quality check failed for: ${qualityReport.failing.join(', ')} (see QUALITY_REPORT)`);
+        }
+
     } catch (error) {
         log.exception(error, 'Fatal error in main function');
         throw error;
@@ -0,0 +1,78 @@
+// Noon.com data-quality monitoring - per-field fill rates across the run, checked against thresholds
+// Catches selector drift: a renamed CSS module silently turns a field into null instead of raising an error
+
+// Minimum share of saved products that must have each field
+export const DEFAULT_QUALITY_THRESHOLDS = {
+    title: 0.95,
+    url: 0.95,
+    currentPrice: 0.8,
+    image: 0.7,
+    rating: 0.2,
+};
+
+// Below this many products the fill rates are reported but not checked
+export const MIN_QUALITY_SAMPLE = 20;
+
+export const isFilled = (value) => value !== null && value !== undefined && value !== ''
+    && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Merge user thresholds over the defaults
+ * Values above 1 are read as percentages; null, 0 or invalid values switch the check off for that field
+ */
+export function normalizeThresholds(overrides = {}) {
+    const thresholds = { ...DEFAULT_QUALITY_THRESHOLDS };
+    for (const [field, value] of Object.entries(overrides || {})) {
+        const num = Number(value);
+        if (value === null || !Number.isFinite(num) || num <= 0) {
+            delete thresholds[field];
+            continue;
+        }
+        thresholds[field] = Math.min(num > 1 ? num / 100 : num, 1);
+    }
+    return thresholds;
+}
+
+/**
+ * Count filled fields for every saved product
+ * `restored` is a previous state() so a resumed run keeps its counts.
+ */
+export function createQualityMonitor({ thresholds = DEFAULT_QUALITY_THRESHOLDS, restored = null } = {}) {
+    let products = restored?.products || 0;
+    const filled = { ...restored?.filled };
+
+    return {
+        thresholds,
+
+        // Returns the thresholded fields this product is missing
+        record(product) {
+            products++;
+            for (const [field, value] of Object.entries(product || {})) {
+                if (isFilled(value)) filled[field] = (filled[field] || 0) + 1;
+            }
+            return Object.keys(thresholds).filter(field => !isFilled(product?.[field]));
+        },
+
+        state() {
+            return { products, filled: { ...filled } };
+        },
+
+        report() {
+            const checked = products >= MIN_QUALITY_SAMPLE;
+            const names = [...new Set([...Object.keys(thresholds), ...Object.keys(filled)])].sort();
+            const fields = {};
+            for (const field of names) {
+                const fillRate = products ? Math.round(((filled[field] || 0) / products) * 1000) / 1000 : null;
+                const threshold = thresholds[field] ?? null;
+                fields[field] = {
+                    filled: filled[field] || 0,
+                    fillRate,
+                    threshold,
+                    ok: !checked || threshold === null || fillRate >= threshold,
+                };
+            }
+            const failing = names.filter(field => !fields[field].ok);
+            return { products, checked, passed: failing.length === 0, failing, fields };
+        },
+    };
+}
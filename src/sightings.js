@@ -0,0 +1,41 @@
+// Noon.com SKU deduplication - each product is saved once per run, later sightings are only recorded
+// The log is keyed like "AE:N53432432A" so the same SKU in two storefronts counts as two products
+
+export const productKey = (product) => (product.sku ? `${product.country || 'AE'}:${product.sku}` : product.url);
+
+const sameSighting = (a, b) => a.url === b.url && a.position === b.position;
+
+/**
+ * Every place each product was seen ({ url, page, position }), in the order it was found
+ * `restored` is a previous state(), so a resumed run keeps skipping what it already saved.
+ */
+export function createSightingLog(restored = {}) {
+    const seen = new Map(Object.entries(restored || {}));
+
+    return {
+        get size() {
+            return seen.size;
+        },
+
+        // Returns true the first time a product is seen, i.e. when it should be saved
+        register(product, sighting) {
+            const key = productKey(product);
+            const sightings = seen.get(key);
+            if (!sightings) {
+                seen.set(key, [sighting]);
+                return true;
+            }
+            if (!sightings.some(known => sameSighting(known, sighting))) sightings.push(sighting);
+            return false;
+        },
+
+        // The live list, so a record still waiting to be written picks up later sightings
+        of(product) {
+            return seen.get(productKey(product)) || null;
+        },
+
+        state() {
+            return Object.fromEntries(seen);
+        },
+    };
+}
@@ -0,0 +1,202 @@
+// Noon.com HTTP sink - POSTs every flushed batch of products to an ingestion endpoint while the crawl runs
+// Batches are delivered in the background, one at a time, so a slow endpoint never holds up the crawlers.
+// Batches that still fail after the retries are kept in a dead-letter key-value store for replaying later
+import { createHmac } from 'node:crypto';
+
+import { log } from 'apify';
+
+export const SIGNATURE_HEADER = 'x-signature-256';
+export const BATCH_ID_HEADER = 'x-batch-id';
+
+// Longest wait between two attempts, however many retries are configured
+const MAX_BACKOFF_MS = 60000;
+
+// Queued batches kept at most; they are saved in RUN_STATE, so the queue can't grow with a stalled endpoint
+const MAX_PENDING_BATCHES = 20;
+
+/**
+ * HMAC-SHA256 of the exact request body, sent as `sha256=<hex>` (same scheme as GitHub webhooks)
+ */
+export const signPayload = (body, secret) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Timeouts, rate limits and server errors are worth another try; other 4xx responses won't change
+const isRetryable = (status) => status === 408 || status === 429 || status >= 500;
+
+const sleep = (ms) => new Promise(resolve => { setTimeout(resolve, ms); });
+
+/**
+ * True for absolute http(s) URLs - the only endpoints a batch can be POSTed to
+ */
+export const isWebhookUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Deliver batches to `url` as JSON: { batchId, runId, sentAt, count, items }
+ * `deadLetterStore` is a key-value store (anything with setValue); `restored` is a previous state(),
+ * so batch ids stay unique across migrations and batches that were still waiting are delivered after all.
+ * Batches enqueued while `maxPending` others are waiting go straight to the dead-letter store.
+ */
+export function createHttpSink({
+    url,
+    headers = {},
+    secret = null,
+    maxRetries = 5,
+    backoffMs = 1000,
+    timeoutSecs = 30,
+    runId = 'local',
+    deadLetterStore = null,
+    maxPending = MAX_PENDING_BATCHES,
+    restored = null,
+}) {
+    const stats = {
+        batches: restored?.batches || 0,
+        delivered: restored?.delivered || 0,
+        items: restored?.items || 0,
+        deadLettered: restored?.deadLettered || 0,
+    };
+    // Queued batches ({ batchId, items }), oldest first; one leaves the queue only once it is delivered
+    // or dead-lettered, so a batch that was being sent during a migration is sent again with the same id
+    const pending = [...(restored?.pending || [])];
+    let worker = null;
+    // Dead letters written for batches the full queue turned away
+    let overflow = Promise.resolve();
+
+    async function deadLetter(payload, error, attempts) {
+        stats.deadLettered++;
+        const key = `batch-${payload.batchId}`;
+        log.error(`📮 [WEBHOOK] Batch ${payload.batchId} (${payload.count} items) `
+            + `${attempts ? `failed after ${attempts} attempts` : 'not sent'}: ${error}`);
+        if (!deadLetterStore) return;
+        try {
+            await deadLetterStore.setValue(key, { url, error, attempts, failedAt: new Date().toISOString(), payload });
+            log.warning(`📮 [WEBHOOK] Batch kept in the dead-letter store as ${key}`);
+        } catch (err) {
+            log.error(`📮 [WEBHOOK] Could not write dead letter ${key}: ${err.message}`);
+        }
+    }
+
+    const nextBatch = (items) => {
+        stats.batches++;
+        return { batchId: `${runId}-${stats.batches}`, items };
+    };
+
+    const toPayload = ({ batchId, items }) => ({
+        batchId,
+        runId,
+        sentAt: new Date().toISOString(),
+        count: items.length,
+        items,
+    });
+
+    /**
+     * POST one batch, retrying with exponential backoff; never throws, so a broken endpoint can't stop the crawl
+     */
+    async function deliver(batch) {
+        const { items } = batch;
+        const payload = toPayload(batch);
+        const body = JSON.stringify(payload);
+        const requestHeaders = {
+            'content-type': 'application/json',
+            ...headers,
+            [BATCH_ID_HEADER]: payload.batchId,
+            ...(secret ? { [SIGNATURE_HEADER]: signPayload(body, secret) } : {}),
+        };
+
+        let error = null;
+        let attempts = 0;
+        while (attempts <= maxRetries) {
+            attempts++;
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: requestHeaders,
+                    body,
+                    signal: AbortSignal.timeout(timeoutSecs * 1000),
+                });
+                const text = await response.text().catch(() => '');
+                if (response.ok) {
+                    stats.delivered++;
+                    stats.items += items.length;
+                    log.debug(`[WEBHOOK] Delivered batch ${payload.batchId} (${items.length} items)`);
+                    return { delivered: true, batchId: payload.batchId, attempts };
+                }
+                error = `HTTP ${response.status}${text ? `: ${text.substring(0, 200)}` : ''}`;
+                if (!isRetryable(response.status)) break;
+            } catch (err) {
+                error = err.message;
+            }
+
+            if (attempts <= maxRetries) {
+                const wait = Math.min(backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+                log.warning(`[WEBHOOK] Batch ${payload.batchId} attempt ${attempts} failed (${error}), retrying in ${wait} ms`);
+                await sleep(wait);
+            }
+        }
+
+        await deadLetter(payload, error, attempts);
+        return { delivered: false, batchId: payload.batchId, attempts, error };
+    }
+
+    // Works through the queue until it is empty; started again by the next enqueue()
+    function startWorker() {
+        if (worker) return;
+        worker = (async () => {
+            while (pending.length) {
+                await deliver(pending[0]);
+                pending.shift();
+            }
+        })().finally(() => {
+            worker = null;
+            // A batch queued while the loop was finishing
+            if (pending.length) startWorker();
+        });
+    }
+
+    if (pending.length) {
+        log.info(`📮 [WEBHOOK] Resuming delivery of ${pending.length} queued batches`);
+        startWorker();
+    }
+
+    return {
+        /**
+         * Deliver one batch right away and wait for the outcome
+         */
+        send(items) {
+            return deliver(nextBatch(items));
+        },
+
+        /**
+         * Queue a batch for background delivery; returns at once
+         * Returns false when the queue is full and the batch was dead-lettered instead.
+         */
+        enqueue(items) {
+            const batch = nextBatch(items);
+            if (pending.length >= maxPending) {
+                const error = `Delivery queue full (${pending.length} batches waiting)`;
+                overflow = overflow.then(() => deadLetter(toPayload(batch), error, 0));
+                return false;
+            }
+            pending.push(batch);
+            startWorker();
+            return true;
+        },
+
+        /**
+         * Resolves once every queued batch is delivered or dead-lettered
+         */
+        async drain() {
+            while (worker) await worker;
+            await overflow;
+        },
+
+        // Counters plus the batches still waiting, for RUN_STATE
+        state() {
+            return { ...stats, pending: pending.map(batch => ({ ...batch })) };
+        },
+    };
+}
@@ -0,0 +1,194 @@
+// Noon.com listing extraction strategies - each one reads a listing page's products from a different source
+// A health tracker scores them during the run so the most reliable one is tried first
+import { log } from 'apify';
+
+import {
+    buildProductMap,
+    cleanPrice,
+    cleanText,
+    extractProductData,
+    extractProductFromAPI,
+    extractSkuFromUrl,
+    isProductLink,
+    matchKnownNames,
+    mergeAvailability,
+    parseLocale,
+    toAbs,
+    validateProduct,
+    withPriceFields,
+} from './extractors.js';
+
+// Default order; `api` needs the network so it is defined in main.js, the rest only read the page.
+// `dom` goes before `nextData`: it already uses the hits, and also reads cards the hits leave out.
+export const STRATEGY_NAMES = ['api', 'dom', 'nextData', 'ldJson'];
+
+// Product card containers, most specific first
+const PRODUCT_SELECTORS = [
+    '[data-qa="plp-product-box"]', // Primary: Noon's main product box container
+    '[data-qa*="product-box"]', // Fallback: any product box variant
+    '[data-qa*="product"]', // Fallback: any product element
+    '[class*="ProductCard"]',
+    '[class*="productContainer"]',
+    'div[class*="sc-"] a[href*="/p/"]',
+    'article[class*="product"]',
+];
+
+/**
+ * Products straight from the listing's __NEXT_DATA__ hits (same shape as the listing API)
+ */
+export function extractNextDataProducts($, pageUrl) {
+    let productMap = {};
+    try {
+        productMap = buildProductMap($);
+    } catch (err) {
+        log.debug(`[nextData] Failed to parse JSON data: ${err.message}`);
+    }
+
+    // Hits carry a bare URL slug; product pages live at /<locale>/<slug>/<sku>/p/
+    const locale = parseLocale(pageUrl);
+    return Object.values(productMap)
+        .map(hit => extractProductFromAPI({
+            ...hit,
+            url: hit.url && !isProductLink(hit.url) ? `/${locale.locale}/${hit.url}/${hit.sku}/p/` : hit.url,
+        }, locale))
+        .filter(product => product?.title && product.url)
+        .map(product => ({ ...product, image: product.image || product.images[0] || null }));
+}
+
+/**
+ * Products from the rendered product cards, filled in from __NEXT_DATA__ where a card matches a hit
+ */
+export function extractDomProducts($, pageUrl) {
+    let productMap = {};
+    try {
+        productMap = buildProductMap($);
+    } catch (err) {
+        log.debug(`[dom] Failed to parse JSON data: ${err.message}`);
+    }
+
+    for (const selector of PRODUCT_SELECTORS) {
+        const $cards = $(selector);
+        if ($cards.length === 0) continue;
+
+        log.debug(`[dom] Found ${$cards.length} product elements using selector: ${selector}`);
+        return $cards.toArray()
+            .map(el => extractProductData($, el, pageUrl, productMap))
+            .filter(product => product && validateProduct(product));
+    }
+    return [];
+}
+
+// Product nodes in a JSON-LD document: bare products, ItemList entries and @graph members
+const ldJsonProductNodes = (node) => {
+    if (!node || typeof node !== 'object') return [];
+    if (Array.isArray(node)) return node.flatMap(ldJsonProductNodes);
+    if (Array.isArray(node['@graph'])) return ldJsonProductNodes(node['@graph']);
+
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('ItemList')) {
+        return (node.itemListElement || []).flatMap(entry => ldJsonProductNodes(entry?.item || entry));
+    }
+    if (types.includes('Product')) return [node];
+    return [];
+};
+
+/**
+ * Products from the page's schema.org JSON-LD (ItemList or Product nodes)
+ */
+export function extractLdJsonProducts($, pageUrl) {
+    const locale = parseLocale(pageUrl);
+    const products = [];
+
+    $('script[type="application/ld+json"]').each((_, el) => {
+        let parsed;
+        try {
+            parsed = JSON.parse($(el).text().trim());
+        } catch {
+            return;
+        }
+
+        for (const node of ldJsonProductNodes(parsed)) {
+            const url = node.url ? toAbs(node.url, pageUrl) : null;
+            const images = [].concat(node.image || [])
+                .map(img => (typeof img === 'string' ? img : img?.url || img?.contentUrl))
+                .filter(Boolean);
+            const offer = Array.isArray(node.offers) ? node.offers[0] : node.offers;
+            const rating = node.aggregateRating;
+
+            products.push(withPriceFields({
+                title: cleanText(node.name),
+                url,
+                image: images[0] || null,
+                images,
+                brand: cleanText(typeof node.brand === 'object' ? node.brand?.name : node.brand) || null,
+                description: null,
+                currentPrice: cleanPrice(offer?.price || offer?.lowPrice),
+                originalPrice: null,
+                discount: null,
+                rating: parseFloat(rating?.ratingValue) || null,
+                reviewsCount: parseInt(rating?.reviewCount || rating?.ratingCount, 10) || null,
+                // schema.org availability is a URL such as https://schema.org/InStock
+                ...mergeAvailability({
+                    inStock: offer?.availability ? /InStock|LimitedAvailability|PreOrder/i.test(offer.availability) : null,
+                }),
+                // JSON-LD has no ad marker
+                isSponsored: null,
+                sku: node.sku || (url ? extractSkuFromUrl(url) : null),
+                currency: offer?.priceCurrency || locale.currency,
+                country: locale.country,
+                language: locale.language,
+                scrapedAt: new Date().toISOString(),
+            }));
+        }
+    });
+
+    return products.filter(product => product.title && product.url);
+}
+
+/**
+ * Track how often each strategy finds products and order them best-first
+ * Forced strategies run exactly in the given order; disabled ones are never tried.
+ * `restored` is a previous snapshot() so a resumed run keeps its scores.
+ */
+export function createStrategyHealth({ force = [], disable = [], restored = {} } = {}) {
+    const forced = matchKnownNames(force, STRATEGY_NAMES);
+    const disabled = matchKnownNames(disable, STRATEGY_NAMES);
+    const allowed = forced.length ? forced : STRATEGY_NAMES.filter(name => !disabled.includes(name));
+    if (!allowed.length) log.warning('All extraction strategies are disabled, using all of them');
+    const enabled = allowed.length ? allowed : [...STRATEGY_NAMES];
+
+    const stats = Object.fromEntries(enabled.map(name => [name, {
+        attempts: restored?.[name]?.attempts || 0,
+        successes: restored?.[name]?.successes || 0,
+        products: restored?.[name]?.products || 0,
+    }]));
+
+    // Success rate with one imaginary success and failure, so untried strategies score 0.5
+    const score = (name) => (stats[name].successes + 1) / (stats[name].attempts + 2);
+
+    return {
+        enabled,
+        forced: forced.length > 0,
+
+        order() {
+            if (forced.length) return [...enabled];
+            return [...enabled].sort((a, b) => score(b) - score(a) || STRATEGY_NAMES.indexOf(a) - STRATEGY_NAMES.indexOf(b));
+        },
+
+        record(name, productCount) {
+            if (!stats[name]) return;
+            stats[name].attempts++;
+            if (productCount > 0) {
+                stats[name].successes++;
+                stats[name].products += productCount;
+            }
+        },
+
+        snapshot() {
+            return Object.fromEntries(enabled.map(name => [name, {
+                ...stats[name],
+                score: Math.round(score(name) * 100) / 100,
+            }]));
+        },
+    };
+}
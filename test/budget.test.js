@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createBudget } from '../src/budget.js';
+
+const START = '2026-01-01T10:00:00.000Z';
+const at = (minutes) => new Date(START).getTime() + minutes * 60000;
+
+describe('run budgets', () => {
+    it('ignores empty, zero and invalid limits', () => {
+        const budget = createBudget({ maxRunMinutes: 0, maxRequests: null, maxProxyBandwidthMB: 'x', startedAt: START });
+        assert.deepEqual(budget.limits, { maxRunMinutes: null, maxRequests: null, maxProxyBandwidthMB: null });
+        for (let i = 0; i < 1000; i++) budget.countRequest(1024 * 1024);
+        assert.equal(budget.exceeded(at(10000)), null);
+    });
+
+    it('stops on run time counted from the original start', () => {
+        const budget = createBudget({ maxRunMinutes: 30, startedAt: START });
+        assert.equal(budget.exceeded(at(29)), null);
+        assert.equal(budget.exceeded(at(30)), 'maxRunMinutes');
+        assert.equal(budget.usage(at(12.34)).runMinutes, 12.3);
+    });
+
+    it('stops on request count and downloaded bytes', () => {
+        const requests = createBudget({ maxRequests: 2, startedAt: START });
+        requests.countRequest();
+        assert.equal(requests.exceeded(at(0)), null);
+        requests.countRequest();
+        assert.equal(requests.exceeded(at(0)), 'maxRequests');
+
+        const bandwidth = createBudget({ maxProxyBandwidthMB: 1, startedAt: START });
+        bandwidth.countRequest(512 * 1024);
+        bandwidth.addBytes(256 * 1024);
+        assert.equal(bandwidth.exceeded(at(0)), null);
+        assert.equal(bandwidth.usage(at(0)).bandwidthMB, 0.75);
+        bandwidth.addBytes(256 * 1024);
+        assert.equal(bandwidth.exceeded(at(0)), 'maxProxyBandwidthMB');
+    });
+
+    it('keeps its usage across resumes', () => {
+        const budget = createBudget({ maxRequests: 3, startedAt: START });
+        budget.countRequest(100);
+        budget.countRequest(200);
+
+        const resumed = createBudget({ maxRequests: 3, startedAt: START, restored: budget.state() });
+        assert.deepEqual(resumed.state(), { requests: 2, bytes: 300 });
+        resumed.countRequest();
+        assert.equal(resumed.exceeded(at(0)), 'maxRequests');
+    });
+});
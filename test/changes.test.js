@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createChangeTracker, detectChanges, snapshotOf, stateKey } from '../src/changes.js';
+
+const product = (fields = {}) => ({
+    sku: 'N70012345V',
+    title: 'Classic Fit Cotton Polo Shirt',
+    url: 'https://www.noon.com/uae-en/p/N70012345V',
+    currency: 'AED',
+    country: 'AE',
+    currentPrice: 189,
+    originalPrice: 349,
+    inStock: true,
+    rating: 4.6,
+    scrapedAt: '2026-10-02T10:00:00.000Z',
+    ...fields,
+});
+
+const previous = snapshotOf(product({ scrapedAt: '2026-10-01T10:00:00.000Z' }));
+const types = (events) => events.map(e => e.type);
+
+describe('change detection', () => {
+    it('reports products without a snapshot as new', () => {
+        const [event] = detectChanges(undefined, product());
+        assert.equal(event.type, 'NEW_PRODUCT');
+        assert.equal(event.newValue, 189);
+        assert.equal(event.previousScrapedAt, null);
+    });
+
+    it('tells price drops from price rises', () => {
+        const [drop] = detectChanges(previous, product({ currentPrice: 149 }));
+        assert.deepEqual(
+            { type: drop.type, field: drop.field, previousValue: drop.previousValue, newValue: drop.newValue },
+            { type: 'PRICE_DROP', field: 'currentPrice', previousValue: 189, newValue: 149 },
+        );
+        assert.equal(drop.previousScrapedAt, '2026-10-01T10:00:00.000Z');
+        assert.deepEqual(types(detectChanges(previous, product({ currentPrice: 199 }))), ['PRICE_RISE']);
+        assert.deepEqual(detectChanges(previous, product()), []);
+    });
+
+    it('reports list price, stock and rating changes', () => {
+        const events = detectChanges(previous, product({ originalPrice: 399, inStock: false, rating: 4.5 }));
+        assert.deepEqual(types(events), ['ORIGINAL_PRICE_CHANGE', 'OUT_OF_STOCK', 'RATING_CHANGE']);
+        const soldOut = { ...previous, inStock: false };
+        assert.deepEqual(types(detectChanges(soldOut, product())), ['BACK_IN_STOCK']);
+    });
+
+    it('ignores fields that were or are unknown', () => {
+        const unknown = { ...previous, currentPrice: null, originalPrice: null, inStock: null, rating: null };
+        assert.deepEqual(detectChanges(unknown, product()), []);
+        assert.deepEqual(detectChanges(previous, product({ currentPrice: null, originalPrice: undefined, inStock: undefined })), []);
+    });
+
+    it('reads stock from offers when the product has no flag', () => {
+        const offers = [{ inStock: false }, { inStock: true }];
+        assert.equal(snapshotOf(product({ inStock: undefined, offers })).inStock, true);
+        assert.equal(snapshotOf(product({ inStock: undefined, offers: [] })).inStock, null);
+    });
+});
+
+describe('change state', () => {
+    it('keys snapshots by country', () => {
+        assert.equal(stateKey(product()), 'AE:N70012345V');
+        assert.equal(stateKey(product({ country: 'SA' })), 'SA:N70012345V');
+        assert.equal(stateKey(product({ country: undefined })), 'AE:N70012345V');
+    });
+
+    it('keeps storefronts apart and stores the new snapshots', () => {
+        const tracker = createChangeTracker({ 'AE:N70012345V': previous });
+        const events = tracker.check([
+            product({ currentPrice: 149 }),
+            product({ country: 'SA', currency: 'SAR', currentPrice: 199 }),
+            { title: 'No SKU' },
+            null,
+        ]);
+        assert.deepEqual(events.map(e => `${e.country}:${e.type}`), ['AE:PRICE_DROP', 'SA:NEW_PRODUCT']);
+        assert.equal(tracker.state()['AE:N70012345V'].currentPrice, 149);
+        assert.equal(tracker.state()['SA:N70012345V'].currentPrice, 199);
+        assert.equal(tracker.size, 2);
+        assert.deepEqual(tracker.check([product({ currentPrice: 149 })]), []);
+    });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { load as loadHtml } from 'cheerio';
+
+import {
+    compareUrl,
+    nextCompareCountry,
+    normalizeCompareCountries,
+    normalizeFx,
+    priceEntry,
+    storefrontEntry,
+} from '../src/compare.js';
+import { createDetailProduct, pageProductSkus, parseProductDetails } from '../src/extractors.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('country comparison', () => {
+    it('accepts country codes, storefronts and aliases', () => {
+        assert.deepEqual(normalizeCompareCountries(['sa', 'KSA', 'egypt-ar', 'uae', 'qatar']), ['SA', 'EG', 'AE']);
+        assert.deepEqual(normalizeCompareCountries('EG'), ['EG']);
+        assert.deepEqual(normalizeCompareCountries(null), []);
+    });
+
+    it('builds product URLs on other storefronts in the same language', () => {
+        assert.equal(compareUrl('N53432432A', 'SA', 'en'), 'https://www.noon.com/saudi-en/p/N53432432A');
+        assert.equal(compareUrl('N53432432A', 'EG', 'ar'), 'https://www.noon.com/egypt-ar/p/N53432432A');
+    });
+
+    it('converts prices with the given rates only', () => {
+        const fx = normalizeFx('aed', { SAR: 0.98, egp: '0.075', XXX: -1 });
+        assert.deepEqual(fx, { target: 'AED', rates: { AED: 1, SAR: 0.98, EGP: 0.075 } });
+        assert.equal(normalizeFx(null, { SAR: 0.98 }), null);
+
+        const product = { url: 'u', currentPrice: 205, originalPrice: 250, currency: 'SAR', inStock: true, title: 'x' };
+        assert.deepEqual(priceEntry(product, fx), {
+            url: 'u',
+            currentPrice: 205,
+            originalPrice: 250,
+            currency: 'SAR',
+            inStock: true,
+            convertedPrice: 200.9,
+            convertedCurrency: 'AED',
+        });
+        assert.equal(priceEntry({ ...product, currency: 'KWD' }, fx).convertedPrice, null);
+        assert.equal(priceEntry(product).convertedPrice, undefined);
+    });
+
+    it('reads a storefront entry from a parsed product page', () => {
+        const url = 'https://www.noon.com/saudi-en/p/N53432432A';
+        const local = parseProductDetails(loadHtml(fixture('detail.html')), createDetailProduct(url, 'N53432432A'));
+        assert.deepEqual(priceEntry(local), { url, currentPrice: 189, originalPrice: 349, currency: 'SAR', inStock: true });
+    });
+
+    it('treats pages without a product as not sold there', () => {
+        const url = 'https://www.noon.com/egypt-en/p/N53432432A';
+        const local = parseProductDetails(loadHtml('<html><body>Not found</body></html>'), createDetailProduct(url, 'N53432432A'));
+        assert.equal(priceEntry(local), null);
+    });
+
+    it('records a storefront only when its page is about the same SKU', () => {
+        const $ = loadHtml(fixture('detail.html'));
+        assert.deepEqual(pageProductSkus($), ['N70012345V', 'N70012345V-1', 'N70012345V-2']);
+
+        const url = 'https://www.noon.com/saudi-en/p/N70012345V';
+        assert.equal(storefrontEntry($, 'n70012345v', url).currentPrice, 189);
+        assert.equal(storefrontEntry($, 'N53432432A', url), null);
+    });
+
+    it('ignores recommended products on a "not available" page', () => {
+        const $ = loadHtml(fixture('not-found.html'));
+        const url = 'https://www.noon.com/egypt-en/p/N53432432A';
+        assert.equal(storefrontEntry($, 'N53432432A', url), null);
+        // Parsed on its own the page would have passed for a product priced like the recommendation
+        assert.equal(priceEntry(parseProductDetails($, createDetailProduct(url, 'N53432432A'))).currentPrice, 749);
+    });
+
+    it('walks through the countries still missing from the map', () => {
+        const product = { prices: { AE: {} } };
+        assert.equal(nextCompareCountry(product, ['AE', 'SA', 'EG']), 'SA');
+        product.prices.SA = null;
+        assert.equal(nextCompareCountry(product, ['AE', 'SA', 'EG']), 'EG');
+        product.prices.EG = {};
+        assert.equal(nextCompareCountry(product, ['AE', 'SA', 'EG']), null);
+    });
+});
@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    createRecordShaper,
+    flattenRecord,
+    getPath,
+    normalizeExportFormats,
+    toCsv,
+    toMerchantItem,
+    toMerchantXml,
+    toNdjson,
+} from '../src/exports.js';
+
+const product = (overrides = {}) => ({
+    sku: 'N53432432A',
+    title: 'Dockers Slim Fit "Alpha" Chino, Khaki',
+    url: 'https://www.noon.com/uae-en/p/N53432432A',
+    image: 'https://f.nooncdn.com/p/N53432432A_1.jpg',
+    images: ['https://f.nooncdn.com/p/N53432432A_1.jpg', 'https://f.nooncdn.com/p/N53432432A_2.jpg'],
+    brand: 'Dockers',
+    currentPrice: 199,
+    originalPrice: 299,
+    currency: 'AED',
+    inStock: true,
+    categoryPath: ['Fashion', 'Men', 'Trousers'],
+    offers: [{ seller: 'noon', currentPrice: 199 }, { seller: 'Style Hub', currentPrice: 210 }],
+    ...overrides,
+});
+
+describe('output shaping', () => {
+    it('reads nested values by path', () => {
+        assert.equal(getPath(product(), 'offers[1].seller'), 'Style Hub');
+        assert.equal(getPath(product(), 'offers.0.currentPrice'), 199);
+        assert.equal(getPath(product(), 'offers[5].seller'), undefined);
+        assert.equal(getPath(product(), 'brand.name'), undefined);
+    });
+
+    it('flattens objects and arrays', () => {
+        assert.deepEqual(flattenRecord({ a: 1, tags: ['x', 'y'], offers: [{ seller: 's' }], empty: [], nested: { b: null } }), {
+            a: 1,
+            'tags[0]': 'x',
+            'tags[1]': 'y',
+            'offers[0].seller': 's',
+            empty: null,
+            'nested.b': null,
+        });
+    });
+
+    it('passes records through when nothing is configured', () => {
+        const shaper = createRecordShaper();
+        const record = product();
+        assert.equal(shaper.active, false);
+        assert.equal(shaper.shape(record), record);
+    });
+
+    it('keeps, orders and renames the selected fields', () => {
+        const shaper = createRecordShaper({
+            outputFields: ['sku', 'currentPrice', 'offers[0].seller', 'gtin', 'sku'],
+            renameFields: { currentPrice: 'price', 'offers[0].seller': 'buyBoxSeller' },
+        });
+        assert.deepEqual(shaper.fields, ['sku', 'currentPrice', 'offers[0].seller', 'gtin']);
+        assert.deepEqual(shaper.shape(product()), { sku: 'N53432432A', price: 199, buyBoxSeller: 'noon', gtin: null });
+    });
+
+    it('renames flattened keys and reads fields back from shaped records', () => {
+        const shaper = createRecordShaper({ flatten: true, renameFields: { currentPrice: 'price', 'offers[1].seller': 'runnerUp' } });
+        const shaped = shaper.shape(product());
+        assert.equal(shaped.price, 199);
+        assert.equal(shaped.runnerUp, 'Style Hub');
+        assert.equal(shaped['images[1]'], 'https://f.nooncdn.com/p/N53432432A_2.jpg');
+        assert.equal(shaper.valueOf(shaped, 'currentPrice'), 199);
+        assert.deepEqual(shaper.valueOf(shaped, 'categoryPath'), ['Fashion', 'Men', 'Trousers']);
+    });
+});
+
+describe('export files', () => {
+    it('accepts known formats only', () => {
+        assert.deepEqual(normalizeExportFormats(['CSV', 'merchantxml', 'pdf', 'csv']), ['csv', 'merchantXml']);
+        assert.deepEqual(normalizeExportFormats('ndjson'), ['ndjson']);
+    });
+
+    it('writes CSV with the union of flattened columns', () => {
+        const csv = toCsv([
+            { sku: 'A', title: 'Chino, "slim"', tags: ['x'] },
+            { sku: 'B', price: 10, title: null },
+        ]);
+        assert.equal(csv, 'sku,title,tags[0],price\r\nA,"Chino, ""slim""",x,\r\nB,,,10\r\n');
+    });
+
+    it('writes one JSON record per line', () => {
+        assert.equal(toNdjson([{ a: 1 }, { b: [2] }]), '{"a":1}\n{"b":[2]}\n');
+    });
+
+    it('maps products to Google Merchant items', () => {
+        const record = product();
+        const item = toMerchantItem(path => record[path]);
+        assert.match(item, /<g:id>N53432432A<\/g:id>/);
+        assert.match(item, /<title>Dockers Slim Fit &quot;Alpha&quot; Chino, Khaki<\/title>/);
+        assert.match(item, /<g:price>299\.00 AED<\/g:price>/);
+        assert.match(item, /<g:sale_price>199\.00 AED<\/g:sale_price>/);
+        assert.match(item, /<g:availability>in_stock<\/g:availability>/);
+        assert.match(item, /<g:additional_image_link>https:\/\/f\.nooncdn\.com\/p\/N53432432A_2\.jpg<\/g:additional_image_link>/);
+        assert.match(item, /<g:product_type>Fashion &gt; Men &gt; Trousers<\/g:product_type>/);
+    });
+
+    it('leaves out feed items without a price and wraps the rest in a channel', () => {
+        const noPrice = product({ currentPrice: null });
+        assert.equal(toMerchantItem(path => noPrice[path]), null);
+
+        const record = product({ originalPrice: null, inStock: null });
+        const item = toMerchantItem(path => record[path]);
+        assert.match(item, /<g:price>199\.00 AED<\/g:price>/);
+        assert.doesNotMatch(item, /sale_price|availability/);
+
+        const xml = toMerchantXml([item, null], { link: 'https://www.noon.com/uae-en/' });
+        assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<rss version="2\.0" xmlns:g="http:\/\/base\.google\.com\/ns\/1\.0">/);
+        assert.equal(xml.match(/<item>/g).length, 1);
+    });
+});
@@ -0,0 +1,477 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { load as loadHtml } from 'cheerio';
+
+import {
+    AVAILABILITY_FIELDS,
+    buildProductMap,
+    cleanPrice,
+    computeUnitPrice,
+    createDetailProduct,
+    extractAvailability,
+    extractAvailabilityFromHtml,
+    extractCategoryName,
+    extractJsonValue,
+    extractProductData,
+    extractReview,
+    extractSkuFromUrl,
+    extractSubcategories,
+    findHits,
+    isSponsoredCard,
+    isSponsoredHit,
+    mergeAvailability,
+    parseApiResponse,
+    parseCount,
+    parseDiscountPercent,
+    parseLocale,
+    parseProductDetails,
+    parseUnitPrice,
+    rankListingProducts,
+    toPlainText,
+    validateProduct,
+    withPriceFields,
+} from '../src/extractors.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const LISTING_URL = 'https://www.noon.com/uae-en/fashion/men-31225/';
+const DETAIL_URL = 'https://www.noon.com/uae-en/polo-classic-fit-cotton-polo-shirt/N70012345V/p/';
+
+describe('helpers', () => {
+    it('parses prices with currency and thousands separators', () => {
+        assert.equal(cleanPrice('AED 1,099.50'), 1099.5);
+        assert.equal(cleanPrice(''), null);
+        assert.equal(cleanPrice('Free'), null);
+    });
+
+    it('parses review counts with K suffix', () => {
+        assert.equal(parseCount('1.2K'), 1200);
+        assert.equal(parseCount('3k'), 3000);
+        assert.equal(parseCount('1,234'), 1234);
+        assert.equal(parseCount('n/a'), null);
+    });
+
+    it('reads SKUs from listing links and SKU shortcuts', () => {
+        assert.equal(extractSkuFromUrl('https://www.noon.com/uae-en/some-shirt/N70012345V/p/?o=abc'), 'N70012345V');
+        assert.equal(extractSkuFromUrl('https://www.noon.com/saudi-ar/p/N53432432A'), 'N53432432A');
+    });
+
+    it('resolves storefront locales and falls back to UAE English', () => {
+        assert.deepEqual(
+            (({ locale, country, language, currency }) => ({ locale, country, language, currency }))(
+                parseLocale('https://www.noon.com/saudi-ar/electronics/'),
+            ),
+            { locale: 'saudi-ar', country: 'SA', language: 'ar', currency: 'SAR' },
+        );
+        assert.equal(parseLocale('https://www.noon.com/egypt-en/').currency, 'EGP');
+        assert.equal(parseLocale('https://www.noon.com/kuwait-en/').locale, 'uae-en');
+        assert.equal(parseLocale('not a url at all').locale, 'uae-en');
+    });
+
+    it('finds hits arrays nested in page props', () => {
+        assert.deepEqual(findHits({ a: { b: { hits: [{ sku: 'X' }] } } }), [{ sku: 'X' }]);
+        assert.deepEqual(findHits({ a: { b: { c: { d: { e: { f: { hits: [1] } } } } } } }), []);
+    });
+});
+
+describe('listing pages', () => {
+    const $ = loadHtml(fixture('listing.html'));
+    const productMap = buildProductMap($);
+    const cards = $('[data-qa="plp-product-box"]').toArray();
+
+    it('maps __NEXT_DATA__ hits by SKU', () => {
+        assert.deepEqual(Object.keys(productMap), ['N70012345V']);
+    });
+
+    it('prefers the hidden JSON over card markup', () => {
+        const product = extractProductData($, cards[0], LISTING_URL, productMap);
+        assert.equal(product.title, 'Polo Ralph Lauren Classic Fit Cotton Polo Shirt');
+        assert.equal(product.image, 'https://f.nooncdn.com/products/v1700000000/N70012345V_1.jpg');
+        assert.equal(product.currentPrice, 189);
+        assert.equal(product.originalPrice, 349);
+        assert.equal(product.rating, 4.6);
+        assert.equal(product.reviewsCount, 312);
+    });
+
+    it('falls back to card markup, rating text and K-suffixed review counts', () => {
+        const product = extractProductData($, cards[1], LISTING_URL, productMap);
+        assert.equal(product.sku, 'N53432432A');
+        assert.equal(product.title, 'Dockers Slim Fit Stretch Chino Trousers');
+        assert.equal(product.brand, 'Dockers');
+        assert.equal(product.image, 'https://f.nooncdn.com/p/thumb/N53432432A.jpg');
+        assert.equal(product.currentPrice, 1099.5);
+        assert.equal(product.originalPrice, 1499);
+        assert.equal(product.discount, '27% OFF');
+        assert.equal(product.rating, 4.3);
+        assert.equal(product.reviewsCount, 1200);
+        assert.equal(product.currency, 'AED');
+    });
+
+    it('reads availability from the hidden JSON hit', () => {
+        const product = extractProductData($, cards[0], LISTING_URL, productMap);
+        assert.equal(product.inStock, true);
+        assert.equal(product.stockLeft, 4);
+        assert.equal(product.maxOrderQuantity, 3);
+        assert.equal(product.deliveryEstimate, 'Get it by Oct 21');
+        assert.equal(product.deliveryDateFrom, '2026-10-21');
+        assert.equal(product.deliveryDateTo, '2026-10-22');
+        assert.equal(product.isExpress, true);
+        assert.equal(product.isSupermall, false);
+    });
+
+    it('reads stock text, delivery and badges from card markup', () => {
+        const product = extractProductData($, cards[1], LISTING_URL, productMap);
+        assert.equal(product.inStock, true);
+        assert.equal(product.stockLeft, 2);
+        assert.equal(product.maxOrderQuantity, null);
+        assert.equal(product.deliveryEstimate, 'Get it by Tomorrow, Oct 20');
+        assert.equal(product.isExpress, false);
+        assert.equal(product.isSupermall, true);
+        assert.equal(product.isGlobal, false);
+    });
+
+    it('computes the discount and keeps uom_price out of currentPrice', () => {
+        const card = extractProductData($, cards[1], LISTING_URL, productMap);
+        assert.equal(card.discount, '27% OFF');
+        assert.equal(card.discountPercent, 27);
+        assert.equal(card.discountPercentSource, 'computed');
+
+        const hits = { N53432432A: { sku: 'N53432432A', sale_price: 20, uom_price: 4, uom: '100ml' } };
+        const product = extractProductData($, cards[1], LISTING_URL, hits);
+        assert.equal(product.currentPrice, 20);
+        assert.equal(product.unitPrice, 4);
+        assert.equal(product.unitPriceUnit, '100 ml');
+        assert.equal(product.unitPriceSource, 'scraped');
+    });
+
+    it('rejects cards with too short a title', () => {
+        const product = extractProductData($, cards[2], LISTING_URL, productMap);
+        assert.equal(validateProduct(product), false);
+    });
+
+    it('marks sponsored cards from their badge', () => {
+        assert.equal(extractProductData($, cards[0], LISTING_URL, productMap).isSponsored, false);
+        assert.equal(extractProductData($, cards[1], LISTING_URL, productMap).isSponsored, true);
+
+        const $ads = loadHtml('<div id="a"><div data-qa="plp-sponsored-label"></div></div><div id="b"><small>إعلان</small></div>'
+            + '<div id="c"><span>Advertised brands</span></div>');
+        assert.equal(isSponsoredCard($ads, $ads('#a')), true);
+        assert.equal(isSponsoredCard($ads, $ads('#b')), true);
+        assert.equal(isSponsoredCard($ads, $ads('#c')), false);
+    });
+
+    it('takes the currency from the listing storefront', () => {
+        const product = extractProductData($, cards[1], 'https://www.noon.com/egypt-en/fashion/', productMap);
+        assert.equal(product.currency, 'EGP');
+        assert.equal(product.country, 'EG');
+    });
+});
+
+describe('category pages', () => {
+    const CATEGORY_URL = 'https://www.noon.com/uae-en/electronics/?f[is_fbn]=1';
+
+    it('reads subcategories from the __NEXT_DATA__ category facet', () => {
+        const $ = loadHtml(fixture('category.html'));
+        assert.equal(extractCategoryName($, CATEGORY_URL), 'Electronics');
+        assert.deepEqual(extractSubcategories($, CATEGORY_URL), [
+            { url: 'https://www.noon.com/uae-en/electronics/mobiles-and-accessories/', name: 'Mobiles & Accessories' },
+            { url: 'https://www.noon.com/uae-en/electronics/laptops-12345/', name: 'Laptops' },
+        ]);
+    });
+
+    it('falls back to category links one level down', () => {
+        const $ = loadHtml(`<nav>
+            <a href="/uae-en/electronics/cameras-4001/">Cameras</a>
+            <a href="/uae-en/electronics/cameras-4001/lenses/">Lenses</a>
+            <a href="/uae-en/electronics/tv/N123/p/">A TV</a>
+            <a href="/uae-en/beauty/">Beauty</a>
+        </nav>`);
+        assert.deepEqual(extractSubcategories($, 'https://www.noon.com/uae-en/electronics'), [
+            { url: 'https://www.noon.com/uae-en/electronics/cameras-4001/', name: 'Cameras' },
+        ]);
+        assert.equal(extractCategoryName($, 'https://www.noon.com/uae-en/electronics/mobiles-20905/'), 'Mobiles');
+    });
+});
+
+describe('sponsored placements and ranks', () => {
+    it('reads ad markers from listing hits', () => {
+        assert.equal(isSponsoredHit({ sku: 'N1', is_sponsored: true }), true);
+        assert.equal(isSponsoredHit({ sku: 'N1', isAd: false, ad_id: 'x' }), false);
+        assert.equal(isSponsoredHit({ sku: 'N1', adInfo: { id: 1 } }), true);
+        assert.equal(isSponsoredHit({ sku: 'N1', flags: ['fbn', 'sponsored'] }), true);
+        assert.equal(isSponsoredHit({ sku: 'N1', flags: ['fbn'] }), false);
+        assert.equal(isSponsoredHit(null), null);
+    });
+
+    it('ranks products within the page and across pages', () => {
+        const page = [{ isSponsored: true }, { isSponsored: false }, { isSponsored: null }, { isSponsored: true }];
+        const first = rankListingProducts(page);
+        assert.deepEqual(first.products.map(p => [p.pageRank, p.organicPageRank, p.absoluteRank, p.organicRank]), [
+            [1, null, 1, null],
+            [2, 1, 2, 1],
+            [3, 2, 3, 2],
+            [4, null, 4, null],
+        ]);
+        assert.deepEqual([first.positionOffset, first.organicOffset], [4, 2]);
+
+        const second = rankListingProducts([{ isSponsored: false }], first);
+        assert.deepEqual(second.products[0], { isSponsored: false, pageRank: 1, organicPageRank: 1, absoluteRank: 5, organicRank: 3 });
+    });
+});
+
+describe('API responses', () => {
+    const data = JSON.parse(fixture('api-response.json'));
+
+    it('extracts products and pagination', () => {
+        const { products, pagination } = parseApiResponse(data, 1, parseLocale('/saudi-en/'), 10);
+        assert.equal(products.length, 2);
+        assert.equal(products[0].title, 'Apple iPhone 15 Case MagSafe Clear');
+        assert.equal(products[0].currentPrice, 149);
+        assert.equal(products[0].url, 'https://www.noon.com/uae-en/iphone-15-case/N40633047A/p/');
+        assert.equal(products[1].url, 'https://www.noon.com/saudi-en/p/N11111111B');
+        assert.equal(products[1].currency, 'SAR');
+        assert.deepEqual(pagination, { hasNext: true, totalPages: 3, currentPage: 1 });
+        assert.deepEqual(products.map(p => p.isSponsored), [true, false]);
+    });
+
+    it('turns numeric API discounts into the same label shape', () => {
+        const { products } = parseApiResponse(data, 1, parseLocale('/uae-en/'), 10);
+        assert.equal(products[0].discount, '25%');
+        assert.equal(products[0].discountPercent, 25);
+        assert.equal(products[1].discountPercent, null);
+        assert.equal(products[1].discountPercentSource, null);
+    });
+
+    it('returns null for bodies without products', () => {
+        assert.equal(parseApiResponse({ products: [] }, 1, parseLocale('/uae-en/'), 10), null);
+        assert.equal(parseApiResponse({ message: 'Not found' }, 1, parseLocale('/uae-en/'), 10), null);
+    });
+});
+
+describe('detail pages', () => {
+    const $ = loadHtml(fixture('detail.html'));
+
+    it('builds a full record for a product page opened directly', () => {
+        const product = parseProductDetails($, createDetailProduct(DETAIL_URL));
+        assert.equal(product.sku, 'N70012345V');
+        assert.equal(product.title, 'Polo Ralph Lauren Classic Fit Cotton Polo Shirt');
+        assert.equal(product.image, 'https://f.nooncdn.com/products/v1700000000/N70012345V_1.jpg');
+        assert.equal(product.brand, 'Polo Ralph Lauren');
+        assert.equal(product.description, 'Soft cotton pique with a "classic" fit. Machine washable.');
+        assert.equal(product.longDescription, 'Soft cotton pique with a "classic" fit.\nMachine washable.');
+        assert.equal(product.currentPrice, 189);
+        assert.equal(product.originalPrice, 349);
+        assert.equal(product.rating, 4.5);
+        assert.equal(product.reviewsCount, 1234);
+    });
+
+    it('collects the full gallery, videos and 360° frames', () => {
+        const product = parseProductDetails($, createDetailProduct(DETAIL_URL));
+        assert.deepEqual(product.images, [
+            'https://f.nooncdn.com/products/v1700000000/N70012345V_1.jpg',
+            'https://f.nooncdn.com/products/v1700000000/N70012345V_2.jpg',
+        ]);
+        assert.deepEqual(product.videos, ['https://v.nooncdn.com/videos/N70012345V.mp4']);
+        assert.deepEqual(product.images360, [
+            'https://f.nooncdn.com/products/v1700000000/N70012345V_360_01.jpg',
+            'https://f.nooncdn.com/products/v1700000000/N70012345V_360_02.jpg',
+        ]);
+    });
+
+    it('fills availability from the buy-box offer', () => {
+        const product = parseProductDetails($, createDetailProduct(DETAIL_URL));
+        assert.equal(product.inStock, true);
+        assert.equal(product.stockLeft, 5);
+        assert.equal(product.isExpress, true);
+        assert.equal(product.isSupermall, null);
+        assert.equal(product.deliveryEstimate, null);
+    });
+
+    it('keeps listing values that are already known', () => {
+        const listed = { ...createDetailProduct(DETAIL_URL), title: 'Listing title', currentPrice: 199 };
+        const product = parseProductDetails($, listed);
+        assert.equal(product.title, 'Listing title');
+        assert.equal(product.currentPrice, 199);
+    });
+
+    it('expands size and colour variants', () => {
+        const { variants } = parseProductDetails($, createDetailProduct(DETAIL_URL));
+        assert.deepEqual(
+            variants.map(v => [v.sku, v.colour, v.size, v.currentPrice, v.inStock]),
+            [
+                ['N70012345V-1', 'Navy', 'M', 189, true],
+                ['N70012345V-2', 'Navy', 'L', null, false],
+                ['N70012346V', 'White', null, null, false],
+            ],
+        );
+    });
+
+    it('lists seller offers with the buy box first', () => {
+        const { offers } = parseProductDetails($, createDetailProduct(DETAIL_URL));
+        assert.equal(offers.length, 2);
+        assert.deepEqual(
+            (({ seller, isBuyBox, currentPrice, fulfilledByNoon, isExpress, sellerRating }) => ({
+                seller, isBuyBox, currentPrice, fulfilledByNoon, isExpress, sellerRating,
+            }))(offers[0]),
+            { seller: 'noon', isBuyBox: true, currentPrice: 189, fulfilledByNoon: true, isExpress: true, sellerRating: 4.5 },
+        );
+        assert.equal(offers[1].seller, 'Fashion Hub');
+        assert.equal(offers[1].isBuyBox, false);
+    });
+
+    it('returns features and specifications as structured data', () => {
+        const product = parseProductDetails($, createDetailProduct(DETAIL_URL));
+        assert.deepEqual(product.features, ['100% cotton pique', 'Ribbed collar and cuffs']);
+        assert.deepEqual(product.specifications, [
+            { name: 'Colour', value: 'Navy' },
+            { name: 'Fit', value: 'Classic' },
+        ]);
+    });
+
+    it('reads features and specifications from loose scripts without __NEXT_DATA__', () => {
+        const html = `<html><body><script>window.__STATE__ = {"feature_bullets":["Water resistant [50 m]","2 year warranty"],`
+            + `"specifications":[{"name":"Size","value":["42 mm","44 mm"]},{"name":"Strap","value":"Silicone"}]};</script></body></html>`;
+        const product = parseProductDetails(loadHtml(html), createDetailProduct(DETAIL_URL));
+        assert.deepEqual(product.features, ['Water resistant [50 m]', '2 year warranty']);
+        assert.deepEqual(product.specifications, [
+            { name: 'Size', value: '42 mm, 44 mm' },
+            { name: 'Strap', value: 'Silicone' },
+        ]);
+        assert.equal(product.description, null);
+    });
+
+    it('falls back to ld+json when scripts and markup are missing', () => {
+        const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+            '@type': ['Product'],
+            name: 'Casio Digital Watch',
+            description: 'Stainless steel case.',
+            brand: 'Casio',
+            aggregateRating: { ratingValue: '4.1', ratingCount: '57' },
+        })}</script></head><body></body></html>`;
+        const product = parseProductDetails(loadHtml(html), createDetailProduct(DETAIL_URL));
+        assert.equal(product.title, 'Casio Digital Watch');
+        assert.deepEqual(product.images, []);
+        assert.equal(product.description, 'Stainless steel case.');
+        assert.equal(product.brand, 'Casio');
+        assert.equal(product.rating, 4.1);
+        assert.equal(product.reviewsCount, 57);
+    });
+});
+
+describe('price fields', () => {
+    it('parses discount labels', () => {
+        assert.equal(parseDiscountPercent('35% OFF'), 35);
+        assert.equal(parseDiscountPercent('-12.5%'), 12.5);
+        assert.equal(parseDiscountPercent(40), 40);
+        assert.equal(parseDiscountPercent('Save AED 50'), null);
+        assert.equal(parseDiscountPercent(null), null);
+    });
+
+    it('parses unit prices shown next to the price', () => {
+        assert.deepEqual(parseUnitPrice('AED 1.25/100 ml'), { unitPrice: 1.25, unitPriceUnit: '100 ml' });
+        assert.deepEqual(parseUnitPrice('(2.30 / KG)'), { unitPrice: 2.3, unitPriceUnit: 'kg' });
+        assert.equal(parseUnitPrice('AED 199.00'), null);
+    });
+
+    it('computes unit prices from the pack size in the title', () => {
+        assert.deepEqual(computeUnitPrice(25, 'Extra Virgin Olive Oil 500ml'), { unitPrice: 5, unitPriceUnit: '100 ml' });
+        assert.deepEqual(computeUnitPrice(18, 'Mineral Water 6 x 1.5 L'), { unitPrice: 0.2, unitPriceUnit: '100 ml' });
+        assert.deepEqual(computeUnitPrice(9, 'Basmati Rice 2kg'), { unitPrice: 4.5, unitPriceUnit: 'kg' });
+        assert.deepEqual(computeUnitPrice(3, 'Dark Chocolate 250 g'), { unitPrice: 12, unitPriceUnit: 'kg' });
+        assert.equal(computeUnitPrice(99, 'Cotton Polo Shirt'), null);
+        assert.equal(computeUnitPrice(1299, 'Samsung Galaxy A55 5G Dual SIM 8GB RAM 256GB'), null);
+        assert.equal(computeUnitPrice(3999, 'Apple iPhone 15 5G 128GB Black'), null);
+        assert.equal(computeUnitPrice(249, 'Huawei 4G LTE Router B311, White'), null);
+        assert.deepEqual(computeUnitPrice(12, 'Green Tea 100g, Pack of 1'), { unitPrice: 120, unitPriceUnit: 'kg' });
+    });
+
+    it('records whether each field was scraped or computed', () => {
+        const computed = withPriceFields({ title: 'Olive Oil 1 L', currentPrice: 30, originalPrice: 40, discount: '20% OFF' });
+        assert.equal(computed.discountPercent, 25);
+        assert.equal(computed.discountPercentSource, 'computed');
+        assert.equal(computed.unitPrice, 3);
+        assert.equal(computed.unitPriceSource, 'computed');
+
+        const scraped = withPriceFields({ title: 'Olive Oil 1 L', currentPrice: 30, originalPrice: null, discount: '20% OFF' },
+            { unitPrice: 2.9, unitPriceUnit: '100 ml' });
+        assert.equal(scraped.discountPercent, 20);
+        assert.equal(scraped.discountPercentSource, 'scraped');
+        assert.equal(scraped.unitPrice, 2.9);
+        assert.equal(scraped.unitPriceSource, 'scraped');
+    });
+});
+
+describe('availability', () => {
+    it('reads stock, quantity limits, delivery windows and flags', () => {
+        assert.deepEqual(extractAvailability({
+            stock: 0,
+            max_quantity: '5',
+            estimated_delivery: '2026-10-25T00:00:00Z',
+            flags: [{ code: 'global' }],
+        }), {
+            stockLeft: 0,
+            inStock: false,
+            maxOrderQuantity: 5,
+            deliveryEstimate: '2026-10-25T00:00:00Z',
+            deliveryDateFrom: '2026-10-25',
+            deliveryDateTo: '2026-10-25',
+            isExpress: false,
+            isSupermall: false,
+            isGlobal: true,
+        });
+        assert.deepEqual(extractAvailability({ is_buyable: false }), { inStock: false });
+        assert.deepEqual(extractAvailability(null), {});
+    });
+
+    it('merges sources in order and fills unknown fields with null', () => {
+        const merged = mergeAvailability({ inStock: null, stockLeft: 2 }, { inStock: true, stockLeft: 9, isExpress: false });
+        assert.equal(merged.inStock, true);
+        assert.equal(merged.stockLeft, 2);
+        assert.equal(merged.isExpress, false);
+        assert.equal(merged.deliveryEstimate, null);
+        assert.deepEqual(Object.keys(merged), AVAILABILITY_FIELDS);
+    });
+
+    it('detects sold-out text on a page', () => {
+        const $ = loadHtml('<div class="pdp">This item is currently unavailable</div>');
+        assert.equal(extractAvailabilityFromHtml($, $('div')).inStock, false);
+    });
+});
+
+describe('script JSON values', () => {
+    it('parses nested arrays and objects whole', () => {
+        const text = 'x = {"specifications":[{"name":"Ports","value":["USB-C [x2]","HDMI"]}],"other":1}';
+        assert.deepEqual(extractJsonValue(text, 'specifications'), [{ name: 'Ports', value: ['USB-C [x2]', 'HDMI'] }]);
+    });
+
+    it('parses values embedded in an escaped string payload', () => {
+        const text = 'self.__next_f.push([1,"{\\"feature_bullets\\":[\\"Say \\\\\\"hi\\\\\\"\\",\\"Two\\"]}"])';
+        assert.deepEqual(extractJsonValue(text, 'feature_bullets'), ['Say "hi"', 'Two']);
+    });
+
+    it('returns undefined for missing or broken values', () => {
+        assert.equal(extractJsonValue('{"specifications":[{"name":', 'specifications'), undefined);
+        assert.equal(extractJsonValue('{}', 'feature_bullets'), undefined);
+    });
+
+    it('converts HTML descriptions to plain text lines', () => {
+        assert.equal(toPlainText('<p>Soft &amp; light</p><ul><li>One</li><li>Two</li></ul>'), 'Soft & light\nOne\nTwo');
+    });
+});
+
+describe('reviews', () => {
+    const { list } = JSON.parse(fixture('reviews-response.json'));
+    const product = createDetailProduct(DETAIL_URL);
+
+    it('normalises reviews and skips empty entries', () => {
+        const reviews = list.map(r => extractReview(r, product)).filter(Boolean);
+        assert.equal(reviews.length, 2);
+        assert.equal(reviews[0].sku, 'N70012345V');
+        assert.equal(reviews[0].text, 'Comfortable and true to size.');
+        assert.equal(reviews[0].isVerifiedPurchase, true);
+        assert.equal(reviews[0].helpfulVotes, 3);
+        assert.equal(reviews[1].date, '2025-10-11T12:00:00.000Z');
+        assert.equal(reviews[1].title, null);
+    });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { applyListingFilters, brandSlug, matchesFilters, normalizeFilters } from '../src/filters.js';
+
+describe('listing filters', () => {
+    it('returns null when nothing is set', () => {
+        assert.equal(normalizeFilters({}), null);
+        assert.equal(normalizeFilters({ minPrice: '', brands: [], sortBy: 'cheapest' }), null);
+    });
+
+    it('normalises numbers, brands and sort order', () => {
+        assert.deepEqual(normalizeFilters({ minPrice: '50', brands: ['Polo Ralph Lauren', 'H&M'], sortBy: 'price_asc' }), {
+            minPrice: 50,
+            maxPrice: null,
+            brands: ['polo-ralph-lauren', 'handm'],
+            minRating: null,
+            sortBy: 'price_asc',
+            expressOnly: false,
+            soldByNoon: false,
+        });
+        assert.equal(brandSlug('  Adidas Originals '), 'adidas-originals');
+    });
+
+    it('adds filter and sort parameters and keeps existing ones', () => {
+        const filters = normalizeFilters({
+            minPrice: 100,
+            maxPrice: 500,
+            brands: ['Apple', 'Samsung'],
+            minRating: 4,
+            sortBy: 'newest',
+            expressOnly: true,
+            soldByNoon: true,
+        });
+        const url = new URL(applyListingFilters('https://www.noon.com/uae-en/search/?q=air+fryer', filters));
+        assert.equal(url.searchParams.get('q'), 'air fryer');
+        assert.equal(url.searchParams.get('f[price][min]'), '100');
+        assert.equal(url.searchParams.get('f[price][max]'), '500');
+        assert.deepEqual(url.searchParams.getAll('f[brand][]'), ['apple', 'samsung']);
+        assert.equal(url.searchParams.get('f[product_rating][min]'), '4');
+        assert.equal(url.searchParams.get('f[is_fbn]'), '1');
+        assert.equal(url.searchParams.get('f[is_sold_by_noon]'), '1');
+        assert.equal(url.searchParams.get('sort[by]'), 'new_arrivals');
+        assert.equal(url.searchParams.get('sort[dir]'), 'desc');
+    });
+
+    it('leaves URLs untouched without filters', () => {
+        const href = 'https://www.noon.com/uae-en/electronics/';
+        assert.equal(applyListingFilters(href, null), href);
+    });
+
+    it('drops products outside the price and rating range', () => {
+        const filters = normalizeFilters({ minPrice: 100, maxPrice: 200, minRating: 4 });
+        assert.equal(matchesFilters({ currentPrice: 150, rating: 4.5 }, filters), true);
+        assert.equal(matchesFilters({ currentPrice: 99, rating: 4.5 }, filters), false);
+        assert.equal(matchesFilters({ currentPrice: 150, rating: 3.9 }, filters), false);
+        assert.equal(matchesFilters({ currentPrice: null, rating: null }, filters), true);
+    });
+});
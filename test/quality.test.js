@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    createQualityMonitor,
+    DEFAULT_QUALITY_THRESHOLDS,
+    isFilled,
+    MIN_QUALITY_SAMPLE,
+    normalizeThresholds,
+} from '../src/quality.js';
+
+const product = (overrides = {}) => ({
+    title: 'Dockers Slim Fit Stretch Chino Trousers',
+    url: 'https://www.noon.com/uae-en/p/N53432432A',
+    image: 'https://f.nooncdn.com/p/thumb/N53432432A.jpg',
+    currentPrice: 199,
+    rating: 4.3,
+    ...overrides,
+});
+
+describe('data quality', () => {
+    it('treats null, empty strings and empty arrays as missing', () => {
+        assert.equal(isFilled(0), true);
+        assert.equal(isFilled(false), true);
+        assert.equal(isFilled(null), false);
+        assert.equal(isFilled(''), false);
+        assert.equal(isFilled([]), false);
+    });
+
+    it('merges thresholds over the defaults', () => {
+        const thresholds = normalizeThresholds({ rating: 60, brand: 0.5, image: null, title: 'x' });
+        assert.equal(thresholds.rating, 0.6);
+        assert.equal(thresholds.brand, 0.5);
+        assert.equal(thresholds.image, undefined);
+        assert.equal(thresholds.title, undefined);
+        assert.equal(thresholds.currentPrice, DEFAULT_QUALITY_THRESHOLDS.currentPrice);
+    });
+
+    it('returns the monitored fields a product is missing', () => {
+        const monitor = createQualityMonitor();
+        assert.deepEqual(monitor.record(product()), []);
+        assert.deepEqual(monitor.record(product({ rating: null, image: '' })), ['image', 'rating']);
+    });
+
+    it('fails fields that drop below their threshold', () => {
+        const monitor = createQualityMonitor();
+        for (let i = 0; i < MIN_QUALITY_SAMPLE; i++) {
+            monitor.record(product({ rating: i < 2 ? 4 : null, currentPrice: i < 18 ? 100 : null }));
+        }
+        const report = monitor.report();
+        assert.equal(report.checked, true);
+        assert.equal(report.passed, false);
+        assert.deepEqual(report.failing, ['rating']);
+        assert.deepEqual(report.fields.rating, { filled: 2, fillRate: 0.1, threshold: 0.2, ok: false });
+        assert.equal(report.fields.currentPrice.fillRate, 0.9);
+    });
+
+    it('does not check small samples and keeps counts across resumes', () => {
+        const monitor = createQualityMonitor();
+        monitor.record(product({ title: null }));
+        assert.equal(monitor.report().checked, false);
+        assert.equal(monitor.report().passed, true);
+
+        const resumed = createQualityMonitor({ restored: monitor.state() });
+        resumed.record(product());
+        assert.deepEqual(resumed.state(), { products: 2, filled: { title: 1, url: 2, image: 2, currentPrice: 2, rating: 2 } });
+    });
+});
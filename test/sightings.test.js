@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createSightingLog, productKey } from '../src/sightings.js';
+
+const LISTING = 'https://www.noon.com/uae-en/fashion/men-31225/';
+const product = (fields = {}) => ({ sku: 'N53432432A', country: 'AE', url: 'https://www.noon.com/uae-en/p/N53432432A', ...fields });
+
+describe('product keys', () => {
+    it('keys products by country and SKU, falling back to the URL', () => {
+        assert.equal(productKey(product()), 'AE:N53432432A');
+        assert.equal(productKey(product({ country: 'EG' })), 'EG:N53432432A');
+        assert.equal(productKey(product({ country: undefined })), 'AE:N53432432A');
+        assert.equal(productKey(product({ sku: null })), 'https://www.noon.com/uae-en/p/N53432432A');
+    });
+});
+
+describe('sighting log', () => {
+    it('accepts a product once and records its later sightings', () => {
+        const sightings = createSightingLog();
+        assert.equal(sightings.register(product(), { url: LISTING, page: 1, position: 3 }), true);
+        assert.equal(sightings.register(product(), { url: `${LISTING}?page=2`, page: 2, position: 40 }), false);
+        assert.equal(sightings.register(product(), { url: LISTING, page: 1, position: 3 }), false);
+        assert.deepEqual(sightings.of(product()), [
+            { url: LISTING, page: 1, position: 3 },
+            { url: `${LISTING}?page=2`, page: 2, position: 40 },
+        ]);
+    });
+
+    it('keeps storefronts apart', () => {
+        const sightings = createSightingLog();
+        assert.equal(sightings.register(product(), { url: LISTING, page: 1, position: 1 }), true);
+        assert.equal(sightings.register(product({ country: 'SA' }), { url: LISTING, page: 1, position: 1 }), true);
+        assert.equal(sightings.size, 2);
+        assert.equal(sightings.of(product({ country: 'EG' })), null);
+    });
+
+    it('hands out the live list, so held records see later sightings', () => {
+        const sightings = createSightingLog();
+        sightings.register(product(), { url: LISTING, page: 1, position: 1 });
+        const foundIn = sightings.of(product());
+        sightings.register(product(), { url: null, page: null, position: null });
+        assert.equal(foundIn.length, 2);
+    });
+
+    it('restores from a saved state', () => {
+        const saved = createSightingLog();
+        saved.register(product(), { url: LISTING, page: 1, position: 1 });
+        const restored = createSightingLog(JSON.parse(JSON.stringify(saved.state())));
+        assert.equal(restored.register(product(), { url: LISTING, page: 2, position: 30 }), false);
+        assert.deepEqual(restored.state()['AE:N53432432A'].map(s => s.page), [1, 2]);
+        assert.equal(createSightingLog(null).size, 0);
+    });
+});
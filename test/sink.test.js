@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import { BATCH_ID_HEADER, createHttpSink, isWebhookUrl, SIGNATURE_HEADER, signPayload } from '../src/sink.js';
+
+// Local ingestion endpoint; `responses` holds the status codes to answer with, then 200
+const received = [];
+let responses = [];
+const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responses.shift() || 200);
+        res.end();
+    });
+});
+let endpoint;
+
+const deadLetters = () => {
+    const records = {};
+    return { records, setValue: async (key, value) => { records[key] = value; } };
+};
+
+describe('http sink', () => {
+    before(async () => {
+        await new Promise(resolve => { server.listen(0, '127.0.0.1', resolve); });
+        endpoint = `http://127.0.0.1:${server.address().port}/ingest`;
+    });
+    after(() => new Promise(resolve => { server.close(resolve); }));
+
+    it('posts signed batches with custom headers', async () => {
+        received.length = 0;
+        responses = [];
+        const sink = createHttpSink({ url: endpoint, headers: { authorization: 'Bearer t0ken' }, secret: 's3cret', runId: 'run1' });
+        const result = await sink.send([{ sku: 'N1' }, { sku: 'N2' }]);
+
+        assert.deepEqual(result, { delivered: true, batchId: 'run1-1', attempts: 1 });
+        const [{ headers, body }] = received;
+        assert.equal(headers.authorization, 'Bearer t0ken');
+        assert.equal(headers['content-type'], 'application/json');
+        assert.equal(headers[BATCH_ID_HEADER], 'run1-1');
+        assert.equal(headers[SIGNATURE_HEADER], signPayload(body, 's3cret'));
+        assert.deepEqual(JSON.parse(body).items, [{ sku: 'N1' }, { sku: 'N2' }]);
+        assert.deepEqual(sink.state(), { batches: 1, delivered: 1, items: 2, deadLettered: 0, pending: [] });
+    });
+
+    it('accepts absolute http(s) URLs only', () => {
+        assert.equal(isWebhookUrl('https://hooks.example.com/noon?token=1'), true);
+        assert.equal(isWebhookUrl('http://127.0.0.1:8080/ingest'), true);
+        assert.equal(isWebhookUrl('hooks.example.com/noon'), false);
+        assert.equal(isWebhookUrl('ftp://example.com/noon'), false);
+        assert.equal(isWebhookUrl(''), false);
+    });
+
+    it('delivers queued batches in the background, in order', async () => {
+        received.length = 0;
+        responses = [503];
+        const sink = createHttpSink({ url: endpoint, backoffMs: 20, runId: 'queued' });
+        sink.enqueue([{ sku: 'N1' }]);
+        sink.enqueue([{ sku: 'N2' }]);
+
+        // Nothing has been answered yet, both batches are still waiting and would survive a migration
+        assert.deepEqual(sink.state().pending.map(batch => batch.batchId), ['queued-1', 'queued-2']);
+        await sink.drain();
+
+        assert.deepEqual(received.map(r => r.headers[BATCH_ID_HEADER]), ['queued-1', 'queued-1', 'queued-2']);
+        assert.deepEqual(sink.state(), { batches: 2, delivered: 2, items: 2, deadLettered: 0, pending: [] });
+    });
+
+    it('dead-letters batches that arrive while the queue is full', async () => {
+        received.length = 0;
+        responses = [];
+        const store = deadLetters();
+        const sink = createHttpSink({ url: endpoint, runId: 'full', deadLetterStore: store, maxPending: 2 });
+        assert.equal(sink.enqueue([{ sku: 'N1' }]), true);
+        assert.equal(sink.enqueue([{ sku: 'N2' }]), true);
+        assert.equal(sink.enqueue([{ sku: 'N3' }]), false);
+        assert.equal(sink.state().pending.length, 2);
+        await sink.drain();
+
+        assert.deepEqual(received.map(r => r.headers[BATCH_ID_HEADER]), ['full-1', 'full-2']);
+        assert.deepEqual(Object.keys(store.records), ['batch-full-3']);
+        assert.equal(store.records['batch-full-3'].attempts, 0);
+        assert.deepEqual(store.records['batch-full-3'].payload.items, [{ sku: 'N3' }]);
+        assert.deepEqual(sink.state(), { batches: 3, delivered: 2, items: 2, deadLettered: 1, pending: [] });
+    });
+
+    it('resumes batches that were waiting before a migration with their batch ids', async () => {
+        received.length = 0;
+        responses = [];
+        const restored = createHttpSink({ url: endpoint, runId: 'moved' });
+        restored.enqueue([{ sku: 'N1' }]);
+        const state = restored.state();
+        await restored.drain();
+
+        received.length = 0;
+        const sink = createHttpSink({ url: endpoint, runId: 'moved', restored: state });
+        await sink.drain();
+        assert.deepEqual(received.map(r => r.headers[BATCH_ID_HEADER]), ['moved-1']);
+        assert.equal(sink.state().delivered, 1);
+
+        sink.enqueue([{ sku: 'N2' }]);
+        await sink.drain();
+        assert.equal(received[1].headers[BATCH_ID_HEADER], 'moved-2');
+    });
+
+    it('retries server errors with the same batch id', async () => {
+        received.length = 0;
+        responses = [503, 429];
+        const sink = createHttpSink({ url: endpoint, backoffMs: 1, runId: 'run2' });
+        const result = await sink.send([{ sku: 'N1' }]);
+
+        assert.equal(result.delivered, true);
+        assert.equal(result.attempts, 3);
+        assert.deepEqual(received.map(r => r.headers[BATCH_ID_HEADER]), ['run2-1', 'run2-1', 'run2-1']);
+    });
+
+    it('dead-letters batches that keep failing or are rejected', async () => {
+        received.length = 0;
+        responses = [500, 500, 500, 400];
+        const store = deadLetters();
+        const sink = createHttpSink({ url: endpoint, maxRetries: 2, backoffMs: 1, runId: 'run3', deadLetterStore: store });
+
+        const failed = await sink.send([{ sku: 'N1' }]);
+        assert.equal(failed.delivered, false);
+        assert.equal(failed.attempts, 3);
+        assert.match(failed.error, /HTTP 500/);
+
+        // 400 is not retried
+        const rejected = await sink.send([{ sku: 'N2' }]);
+        assert.equal(rejected.attempts, 1);
+
+        assert.equal(received.length, 4);
+        assert.deepEqual(Object.keys(store.records), ['batch-run3-1', 'batch-run3-2']);
+        assert.equal(store.records['batch-run3-1'].attempts, 3);
+        assert.deepEqual(store.records['batch-run3-2'].payload.items, [{ sku: 'N2' }]);
+        assert.equal(sink.state().deadLettered, 2);
+    });
+
+    it('dead-letters unreachable endpoints and keeps counting after a resume', async () => {
+        const store = deadLetters();
+        const sink = createHttpSink({
+            url: 'http://127.0.0.1:1/ingest',
+            maxRetries: 1,
+            backoffMs: 1,
+            runId: 'run4',
+            deadLetterStore: store,
+            restored: { batches: 7, delivered: 7, items: 70, deadLettered: 0 },
+        });
+        const result = await sink.send([{ sku: 'N1' }]);
+        assert.equal(result.delivered, false);
+        assert.equal(result.batchId, 'run4-8');
+        assert.ok(store.records['batch-run4-8']);
+    });
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { load as loadHtml } from 'cheerio';
+
+import {
+    createStrategyHealth,
+    extractDomProducts,
+    extractLdJsonProducts,
+    extractNextDataProducts,
+} from '../src/strategies.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const LISTING_URL = 'https://www.noon.com/uae-en/fashion/men-31225/';
+
+describe('listing strategies', () => {
+    const $ = loadHtml(fixture('listing.html'));
+
+    it('reads products from __NEXT_DATA__ hits', () => {
+        const products = extractNextDataProducts($, LISTING_URL);
+        assert.equal(products.length, 1);
+        assert.equal(products[0].sku, 'N70012345V');
+        assert.equal(products[0].url, 'https://www.noon.com/uae-en/p/N70012345V');
+        assert.equal(products[0].currentPrice, 189);
+        assert.equal(products[0].image, 'https://f.nooncdn.com/products/v1700000000/N70012345V_1.jpg');
+    });
+
+    it('builds product URLs from hit slugs', () => {
+        const html = '<script id="__NEXT_DATA__" type="application/json">'
+            + '{"props":{"pageProps":{"catalog":{"hits":[{"sku":"N1","name":"Slug product title","url":"slug-product"}]}}}}</script>';
+        const [product] = extractNextDataProducts(loadHtml(html), LISTING_URL);
+        assert.equal(product.url, 'https://www.noon.com/uae-en/slug-product/N1/p/');
+    });
+
+    it('reads product cards and drops invalid ones', () => {
+        const products = extractDomProducts($, LISTING_URL);
+        assert.deepEqual(products.map(p => p.sku), ['N70012345V', 'N53432432A']);
+        assert.equal(products[1].currentPrice, 1099.5);
+        assert.deepEqual(products.map(p => p.isSponsored), [false, true]);
+    });
+
+    it('reads the same prices from hits and cards', () => {
+        const [fromHits] = extractNextDataProducts($, LISTING_URL);
+        const fromCards = extractDomProducts($, LISTING_URL).find(p => p.sku === fromHits.sku);
+        const prices = ({ currentPrice, originalPrice, discountPercent }) => ({ currentPrice, originalPrice, discountPercent });
+        assert.deepEqual(prices(fromHits), { currentPrice: 189, originalPrice: 349, discountPercent: 46 });
+        assert.deepEqual(prices(fromHits), prices(fromCards));
+    });
+
+    it('reads products from a JSON-LD ItemList', () => {
+        const products = extractLdJsonProducts($, LISTING_URL);
+        assert.equal(products.length, 1);
+        assert.equal(products[0].url, 'https://www.noon.com/uae-en/polo-classic-fit-cotton-polo-shirt/N70012345V/p/');
+        assert.equal(products[0].sku, 'N70012345V');
+        assert.equal(products[0].brand, 'Polo Ralph Lauren');
+        assert.equal(products[0].currentPrice, 189);
+        assert.equal(products[0].rating, 4.6);
+        assert.equal(products[0].reviewsCount, 312);
+        assert.equal(products[0].isSponsored, null);
+    });
+
+    it('returns nothing for pages without product data', () => {
+        const $empty = loadHtml('<html><body><p>blocked</p></body></html>');
+        assert.deepEqual(extractNextDataProducts($empty, LISTING_URL), []);
+        assert.deepEqual(extractDomProducts($empty, LISTING_URL), []);
+        assert.deepEqual(extractLdJsonProducts($empty, LISTING_URL), []);
+    });
+});
+
+describe('strategy health', () => {
+    it('starts in the default order', () => {
+        assert.deepEqual(createStrategyHealth().order(), ['api', 'dom', 'nextData', 'ldJson']);
+    });
+
+    it('moves failing strategies behind working ones', () => {
+        const health = createStrategyHealth();
+        health.record('api', 0);
+        health.record('nextData', 24);
+        assert.deepEqual(health.order(), ['nextData', 'dom', 'ldJson', 'api']);
+        assert.deepEqual(health.snapshot().nextData, { attempts: 1, successes: 1, products: 24, score: 0.67 });
+    });
+
+    it('honours forced and disabled strategies', () => {
+        const forced = createStrategyHealth({ force: ['DOM', 'ldjson', 'nope'] });
+        forced.record('dom', 0);
+        assert.deepEqual(forced.order(), ['dom', 'ldJson']);
+        assert.equal(forced.forced, true);
+
+        const disabled = createStrategyHealth({ disable: ['api'] });
+        assert.deepEqual(disabled.order(), ['dom', 'nextData', 'ldJson']);
+        disabled.record('api', 10);
+        assert.equal(disabled.snapshot().api, undefined);
+
+        assert.equal(createStrategyHealth({ disable: ['api', 'nextData', 'dom', 'ldJson'] }).enabled.length, 4);
+    });
+
+    it('restores scores from a snapshot', () => {
+        const health = createStrategyHealth({ restored: { api: { attempts: 5, successes: 0, products: 0, score: 0.14 } } });
+        assert.equal(health.order().at(-1), 'api');
+        assert.equal(health.snapshot().api.attempts, 5);
+    });
+});